@@ -255,7 +255,7 @@ function isTargetInChargeRange(aiUnitCluster, targetEnemyCluster) {
 }
 
 /**
- * Gets the best enemy unit cluster to shoot at.
+ * Gets the best enemy unit cluster to shoot at (in range and in line of sight).
  */
 function getBestShootTarget(shootingUnitCluster) {
   const enemyUnits = getEnemySideCache();
@@ -270,7 +270,7 @@ function getBestShootTarget(shootingUnitCluster) {
       (enemy) =>
         enemy.models &&
         enemy.models.length > 0 &&
-        isUnitInRangeOfTarget(
+        isTargetVisibleInRange(
           shootingUnitCluster,
           enemy,
           shootingUnitCluster.bestRangeIn
@@ -279,11 +279,21 @@ function getBestShootTarget(shootingUnitCluster) {
     .map((enemy) => ({
       unit: enemy,
       dist: getMinDistanceBetweenClusters(shootingUnitCluster, enemy),
+      inCover: isTargetInCoverFrom(
+        shootingUnitCluster,
+        enemy,
+        shootingUnitCluster.bestRangeIn
+      ),
+      snipesHero: !!getSniperTargetSubUnit(shootingUnitCluster, enemy),
+      // Only Stealth beyond 9" penalises shooting at a target.
+      hitPenalty: -getRangedHitModifiers(shootingUnitCluster, enemy, {
+        range: shootingUnitCluster.bestRangeIn,
+      }).reduce((sum, m) => sum + m.value, 0),
     }))
     .sort((a, b) => {
-      const aCover = !!a.unit.isInCover;
-      const bCover = !!b.unit.isInCover;
-      if (aCover !== bCover) return aCover ? 1 : -1;
+      if (a.snipesHero !== b.snipesHero) return a.snipesHero ? -1 : 1;
+      if (a.inCover !== b.inCover) return a.inCover ? 1 : -1;
+      if (a.hitPenalty !== b.hitPenalty) return a.hitPenalty - b.hitPenalty;
       if (a.unit.activated !== b.unit.activated)
         return a.unit.activated ? 1 : -1;
       return a.dist - b.dist;
@@ -291,6 +301,163 @@ function getBestShootTarget(shootingUnitCluster) {
   return shootable.length > 0 ? shootable[0].unit : null;
 }
 
+/**
+ * Estimates how much of a target's worth one weapon destroys when shooting it:
+ * expected wounds (AP against the Defense of the model taking the hits, Blast
+ * capped by the models in the unit, Deadly capped by Tough) times the target's
+ * points per remaining wound. Returns 0 when the weapon cannot shoot it.
+ * @param {Object} shootingUnitCluster - The shooting unit.
+ * @param {Object} subUnitState - The sub-unit carrying the weapon.
+ * @param {Object} weapon - The weapon.
+ * @param {Object} target - The enemy unit.
+ * @returns {{wounds: number, valuePerWound: number}} Expected wounds and their worth.
+ */
+function estimateWeaponDamage(
+  shootingUnitCluster,
+  subUnitState,
+  weapon,
+  target
+) {
+  const none = { wounds: 0, valuePerWound: 0 };
+  if (
+    !(weapon.range > 0) ||
+    isLimitedWeaponExpended(subUnitState, weapon) ||
+    (weapon.special?.limited && !isHighValueTarget(target)) ||
+    !isTargetVisibleInRange(shootingUnitCluster, target, weapon.range)
+  )
+    return none;
+  const saveEntry = getAllocatedCursorEntry(
+    createWoundAllocationCursor(target)
+  );
+  if (!saveEntry) return none;
+  const hitModifier = [
+    ...getRangedHitModifiers(shootingUnitCluster, target, weapon),
+    ...getEffectHitModifiers(shootingUnitCluster),
+  ].reduce((sum, m) => sum + m.value, 0);
+  const hitTarget = Math.min(
+    6,
+    Math.max(
+      2,
+      (weapon.special?.sniper ? 2 : subUnitState.originalSubUnitData.quality) -
+        hitModifier
+    )
+  );
+  const saveTarget = getSaveTarget(
+    saveEntry.state.originalSubUnitData,
+    weapon.ap,
+    isTargetInCoverFrom(shootingUnitCluster, target, weapon.range)
+  );
+  const hits =
+    weapon.amount *
+    weapon.attacks *
+    ((7 - hitTarget) / 6) *
+    Math.min(weapon.special?.blast || 1, target.currentModels);
+  const woundsPerHit = Math.min(
+    weapon.special?.deadly || 1,
+    saveEntry.state.woundsPerModel
+  );
+  return {
+    wounds: hits * ((Math.min(saveTarget, 6) - 1) / 6) * woundsPerHit,
+    valuePerWound:
+      getUnitGroupPoints(target.unitGroupData) /
+      Math.max(1, getUnitRemainingWounds(target)),
+  };
+}
+
+/**
+ * Counts the wounds it takes to destroy a unit.
+ * @param {Object} unitCluster - The unit cluster.
+ * @returns {number} Wounds left over all its models.
+ */
+function getUnitRemainingWounds(unitCluster) {
+  return unitCluster.subUnitStates
+    .filter((sus) => sus.currentModelsInSubUnit > 0)
+    .reduce(
+      (sum, sus) =>
+        sum +
+        sus.currentModelsInSubUnit * sus.woundsPerModel -
+        sus.woundsOnCurrentModelInSubUnit,
+      0
+    );
+}
+
+/**
+ * Plans split fire: gives each ranged weapon of a unit to the nearby enemy
+ * worth shooting with it most, so high-AP weapons go to tough, well-armoured
+ * targets and Blast or many-shot weapons to big units. Weapons are assigned
+ * strongest first and the expected wounds already sent at a target count
+ * against it, so fire is not wasted on units that will already be destroyed.
+ * The activation's chosen target gets a small bonus to keep fire focused, and
+ * weapons no target is worth shooting with stay on it.
+ * @param {Object} shootingUnitCluster - The shooting unit.
+ * @param {Object} primaryTarget - The target the activation chose.
+ * @returns {Array<{target: Object, weapons: Object[]}>} Targets with the
+ *   weapons shooting them, the chosen target first if it is shot at.
+ */
+function aiPlanSplitFire(shootingUnitCluster, primaryTarget) {
+  const candidates = getNearestEnemyUnits(shootingUnitCluster)
+    .map((entry) => entry.unit)
+    .filter((enemy) => enemy.currentModels > 0);
+  if (!candidates.includes(primaryTarget)) candidates.unshift(primaryTarget);
+  const remainingWounds = new Map(
+    candidates.map((enemy) => [enemy, getUnitRemainingWounds(enemy)])
+  );
+  const assignments = new Map();
+  const assign = (target, weapon, useful) => {
+    const assignment = assignments.get(target) || {
+      target,
+      weapons: [],
+      useful: false,
+    };
+    assignment.weapons.push(weapon);
+    assignment.useful = assignment.useful || useful;
+    assignments.set(target, assignment);
+  };
+
+  shootingUnitCluster.subUnitStates
+    .filter((sus) => sus.currentModelsInSubUnit > 0)
+    .flatMap((sus) =>
+      (sus.effectiveWeapons || [])
+        .filter((weapon) => weapon.range > 0)
+        .map((weapon) => ({ sus, weapon }))
+    )
+    .sort(
+      (a, b) =>
+        calculateWeaponGoodness(b.weapon) - calculateWeaponGoodness(a.weapon)
+    )
+    .forEach(({ sus, weapon }) => {
+      let best = null;
+      candidates.forEach((enemy) => {
+        const estimate = estimateWeaponDamage(
+          shootingUnitCluster,
+          sus,
+          weapon,
+          enemy
+        );
+        const wounds = Math.min(estimate.wounds, remainingWounds.get(enemy));
+        const score =
+          wounds * estimate.valuePerWound * (enemy === primaryTarget ? 1.2 : 1);
+        if (score > 0 && (!best || score > best.score))
+          best = { enemy, wounds, score };
+      });
+      if (!best) {
+        assign(primaryTarget, weapon, false);
+        return;
+      }
+      remainingWounds.set(
+        best.enemy,
+        remainingWounds.get(best.enemy) - best.wounds
+      );
+      assign(best.enemy, weapon, true);
+    });
+
+  const planned = [...assignments.values()];
+  const shotAt = planned.filter((a) => a.useful);
+  return (shotAt.length > 0 ? shotAt : planned)
+    .sort((a, b) => (b.target === primaryTarget) - (a.target === primaryTarget))
+    .map(({ target, weapons }) => ({ target, weapons }));
+}
+
 /**
  * Gets the best enemy unit cluster to charge.
  */
@@ -365,7 +532,7 @@ function getShootTargetAfterAdvance(
 
 /**
  * Finds an advantageous advance position (one that allows a unit to shoot an enemy,
- * but not be in the enemy’s shooting range).
+ * but not be in the enemy’s shooting range). Both checks include line of sight.
  */
 function findAdvantageousAdvancePosition(unit) {
   if (unit.bestRangeIn === 0) return null;
@@ -392,14 +559,14 @@ function findAdvantageousAdvancePosition(unit) {
         hIn: unit.hIn,
         name: "Future Pos",
       };
-      const canShoot = isUnitInRangeOfTarget(
+      const canShoot = isTargetVisibleInRange(
         futurePos,
         enemy,
         unit.bestRangeIn
       );
       const enemyCanShoot =
         enemy.bestRangeIn > 0 &&
-        isUnitInRangeOfTarget(enemy, futurePos, enemy.bestRangeIn);
+        isTargetVisibleInRange(enemy, futurePos, enemy.bestRangeIn);
       if (canShoot && !enemyCanShoot) {
         if (!bestSpot || moveAmount > bestSpot.dist) {
           bestSpot = {
@@ -469,7 +636,7 @@ function canSecureObjectiveWithChargeToEnemy(unit, objective, enemy) {
 
 /**
  * Determines if moving toward a target point by moveDist will put the unit
- * into enemy shooting range.
+ * into enemy shooting range (and line of sight).
  */
 function willEnterEnemyShootingRange(unitCluster, moveDist, targetPoint) {
   if (
@@ -499,7 +666,7 @@ function willEnterEnemyShootingRange(unitCluster, moveDist, targetPoint) {
   return enemyUnits.some(
     (enemy) =>
       enemy.bestRangeIn > 0 &&
-      isUnitInRangeOfTarget(enemy, futurePos, enemy.bestRangeIn)
+      isTargetVisibleInRange(enemy, futurePos, enemy.bestRangeIn)
   );
 }
 
@@ -519,6 +686,10 @@ function aiDecideUnitAction(unitCluster) {
     return { action: "Idle", target: null, reason: "Shaken unit recovers." };
   }
 
+  // Units built for close combat ride a nearby transport when they can.
+  const embarkDecision = aiDecideEmbark(unitCluster);
+  if (embarkDecision) return embarkDecision;
+
   let debugLog = `[AI Debug] Unit: ${unitCluster.name} (${unitCluster.type})\n`;
   debugLog = appendLog(
     debugLog,
@@ -617,19 +788,10 @@ function aiDecideUnitAction(unitCluster) {
     // For ranged (or hybrid) units, if the unit can shoot an enemy that is within 3", then hold and shoot.
     if (
       (unitCluster.type === "hybrid" && decision.action != "Charge") ||
-      unitCluster.type === "shooting"
+      unitCluster.type === "shooting" ||
+      unitCluster.type === "shooting-focus"
     ) {
       const shootCandidate = getBestShootTarget(unitCluster);
-      console.log(shootCandidate);
-      console.log(
-        shootCandidate.name +
-          " is " +
-          distance(
-            { x: shootCandidate.cxIn, y: shootCandidate.cyIn },
-            { x: actionableNearestObjective.x, y: actionableNearestObjective.y }
-          ) +
-          '" away'
-      );
       if (
         shootCandidate &&
         distance(
@@ -888,6 +1050,18 @@ function aiDecideUnitAction(unitCluster) {
     case "shooting":
     case "shooting-focus":
       debugLog = appendLog(debugLog, "  - Type: Shooting/Shooting-Focus");
+      if (
+        !bestShootCandidate &&
+        bestChargeCandidate &&
+        getUnitImpactDice(unitCluster) > 0
+      ) {
+        decision = {
+          action: "Charge",
+          target: bestChargeCandidate,
+          reason: `No shot: charging ${bestChargeCandidate.name} for Impact hits.`,
+        };
+        break;
+      }
       if (actionableNearestObjective) {
         const advantageousPos = findAdvantageousAdvancePosition(unitCluster);
         if (
@@ -1094,11 +1268,23 @@ function aiPerformDecidedAction(unitCluster, decision) {
             : ""
         }`;
     }
-    showFloatingText(unitCluster, message);
+    announceUnitMessage(unitCluster, message);
+    emitGameEvent("unitActivated", {
+      unit: unitCluster,
+      action,
+      target,
+      shootTarget,
+      reason,
+    });
     currentActiveUnit = unitCluster;
+    if (!["Idle", "Stay Embarked"].includes(action)) {
+      aiIssueOrders(unitCluster);
+      aiCastSpell(unitCluster, decision);
+    }
     const onActionComplete = () => {
       unitCluster.activated = true;
       unitCluster.lastPerformedAction = action;
+      delete unitCluster.moveLimitIn;
       if (action === "Charge" && target && target.models) {
         resolvePostChargeSeparation(unitCluster, target);
       }
@@ -1111,8 +1297,38 @@ function aiPerformDecidedAction(unitCluster, decision) {
         unitCluster.shaken = false;
         onActionComplete();
         break;
+      case "Stay Embarked":
+        onActionComplete();
+        break;
+      case "Embark": {
+        const gap = getMinDistanceBetweenClusters(unitCluster, target) - DIA_IN;
+        moveUnitCluster(
+          unitCluster,
+          { x: target.cxIn, y: target.cyIn },
+          Math.min(getUnitRushDistance(unitCluster), Math.max(0, gap)),
+          () => {
+            const inContact =
+              getMinDistanceBetweenClusters(unitCluster, target) <=
+              DIA_IN + TRANSPORT_EMBARK_CONTACT_IN;
+            if (
+              unitCluster.currentModels > 0 &&
+              clusterCache[target.side].includes(target) &&
+              inContact &&
+              canEmbark(unitCluster, target)
+            ) {
+              embarkUnit(unitCluster, target);
+            } else if (unitCluster.currentModels > 0) {
+              logGameMessage(
+                `  ${unitCluster.name} fails to reach ${target.name}.`
+              );
+            }
+            onActionComplete();
+          }
+        );
+        break;
+      }
       case "Hold":
-        if (shootTarget) {
+        if (shootTarget && shootTarget.currentModels > 0) {
           aiExecuteShootAction(unitCluster, shootTarget, action);
         }
         onActionComplete();
@@ -1153,15 +1369,19 @@ function aiPerformDecidedAction(unitCluster, decision) {
             advanceMoveDist = 0;
           }
         }
-        animateUnitMovement(
+        moveUnitCluster(
           unitCluster,
           finalTargetCoordsAdvance,
           advanceMoveDist,
           () => {
-            if (shootTarget || (target && target.models)) {
+            // The unit may have been destroyed by dangerous terrain.
+            if (
+              unitCluster.currentModels > 0 &&
+              (shootTarget || (target && target.models))
+            ) {
               const finalShootTarget =
                 shootTarget || (target.models ? target : null);
-              if (finalShootTarget) {
+              if (finalShootTarget && finalShootTarget.currentModels > 0) {
                 aiExecuteShootAction(unitCluster, finalShootTarget);
               }
             }
@@ -1206,7 +1426,7 @@ function aiPerformDecidedAction(unitCluster, decision) {
             rushMoveDist = 0;
           }
         }
-        animateUnitMovement(
+        moveUnitCluster(
           unitCluster,
           finalTargetCoordsRush,
           rushMoveDist,
@@ -1239,12 +1459,29 @@ function aiPerformDecidedAction(unitCluster, decision) {
           const distEdge = Math.max(0, actualDist - idealStoppingDist);
           chargeMoveDist = Math.min(distEdge, chargeMoveDist);
         }
-        animateUnitMovement(
+        moveUnitCluster(
           unitCluster,
           finalTargetCoordsCharge,
           chargeMoveDist,
-          () => {
-            if (target && target.name) {
+          (move) => {
+            // Contact decides the charge: a detour around terrain can still
+            // end within engagement range of the target.
+            const inContact =
+              unitCluster.currentModels > 0 &&
+              target?.models?.length > 0 &&
+              getMinDistanceBetweenClusters(unitCluster, target) - DIA_IN <=
+                ENGAGEMENT_RANGE_IN;
+            if (!inContact) {
+              logGameMessage(
+                `  ${unitCluster.name}'s charge falls short of ${
+                  target?.name || "its target"
+                }.`
+              );
+            } else {
+              if (!move.reachedTarget)
+                logGameMessage(
+                  `  ${unitCluster.name} charges around the terrain in its way.`
+                );
               aiExecuteMeleeAction(unitCluster, target, action);
             }
             onActionComplete();
@@ -1253,7 +1490,7 @@ function aiPerformDecidedAction(unitCluster, decision) {
         break;
       }
       default:
-        showFloatingText(unitCluster, `Unknown action: ${action}`);
+        announceUnitMessage(unitCluster, `Unknown action: ${action}`);
         onActionComplete();
     }
   });
@@ -1267,9 +1504,10 @@ function aiPerformDecidedAction(unitCluster, decision) {
  * Selects and activates one eligible unit for the current side.
  */
 function activateSingleUnitForCurrentSide() {
-  const aiUnits = getAISideCache();
+  if (isGameOver) return null;
+  const aiUnits = getUnitsInPlay(currentTurn);
   if (!aiUnits || aiUnits.length === 0) {
-    showFloatingText(
+    announceUnitMessage(
       null,
       `${currentTurn} has no units to activate this turn.`
     );
@@ -1284,7 +1522,7 @@ function activateSingleUnitForCurrentSide() {
     activatingShaken = true;
   }
   if (candidates.length === 0) {
-    showFloatingText(
+    announceUnitMessage(
       null,
       `${currentTurn} has no more units to activate this round.`
     );
@@ -1317,7 +1555,7 @@ function activateSingleUnitForCurrentSide() {
     }
   }
   if (sectionUnits.length === 0) {
-    showFloatingText(
+    announceUnitMessage(
       null,
       `Error: No units available for activation for ${currentTurn}.`
     );
@@ -1328,8 +1566,7 @@ function activateSingleUnitForCurrentSide() {
   let attempts = 0,
     MAX_ATTEMPTS = 10;
   do {
-    unitToActivate =
-      sectionUnits[Math.floor(Math.random() * sectionUnits.length)];
+    unitToActivate = sectionUnits[randomInt(sectionUnits.length)];
     attempts++;
   } while (
     (unitToActivate.activated ||
@@ -1341,12 +1578,14 @@ function activateSingleUnitForCurrentSide() {
     unitToActivate.activated ||
     (unitToActivate.shaken && !activatingShaken)
   ) {
-    showFloatingText(
+    announceUnitMessage(
       null,
       `Error: Could not select an eligible unit after ${MAX_ATTEMPTS} attempts for ${currentTurn}.`
     );
     return null;
   }
+  if (unitToActivate.embarkedIn && !activatingShaken)
+    return activateEmbarkedUnit(unitToActivate);
   const decision = activatingShaken
     ? { action: "Idle", reason: "Shaken unit recovers." }
     : aiDecideUnitAction(unitToActivate);
@@ -1357,10 +1596,17 @@ function activateSingleUnitForCurrentSide() {
  * Finalizes the AI turn by updating objectives, switching turns, and resetting state as needed.
  */
 function finalizeAITurn() {
+  if (isGameOver) return;
   updateObjectiveControlAtTurnEnd(); // from game_core_logic.js
+  if (getWipedOutSide()) {
+    endGame("wipeout");
+    return;
+  }
   const finishedPlayer = currentTurn;
-  const currentCache = getAISideCache();
-  const opponentCache = getEnemySideCache();
+  const currentCache = getUnitsInPlay(currentTurn);
+  const opponentCache = getUnitsInPlay(
+    currentTurn === "attackers" ? "defenders" : "attackers"
+  );
   const currentDone = currentCache.every((u) => u.activated);
   const opponentDone = opponentCache.every((u) => u.activated);
   let roundOver = false;
@@ -1369,14 +1615,18 @@ function finalizeAITurn() {
       playerWhoFinishedLastRoundFirst = finishedPlayer;
     }
     if (opponentDone) {
+      if (currentRound >= maxRounds) {
+        endGame("roundLimit");
+        return;
+      }
       roundOver = true;
       currentRound++;
-      displayRoundMessage(`Round ${currentRound} Starting`);
-      clusterCache.attackers.forEach((u) => {
+      emitGameEvent("roundStarted", { round: currentRound });
+      getUnitsInPlay("attackers").forEach((u) => {
         u.activated = false;
         u.hasFoughtInMeleeThisRound = false;
       });
-      clusterCache.defenders.forEach((u) => {
+      getUnitsInPlay("defenders").forEach((u) => {
         u.activated = false;
         u.hasFoughtInMeleeThisRound = false;
       });
@@ -1384,6 +1634,8 @@ function finalizeAITurn() {
         playerWhoFinishedLastRoundFirst || playerWhoStartedCurrentRound;
       playerWhoStartedCurrentRound = currentTurn;
       playerWhoFinishedLastRoundFirst = null;
+      deployAmbushReserves();
+      grantSpellTokens();
     } else {
       currentTurn = finishedPlayer === "attackers" ? "defenders" : "attackers";
     }
@@ -1391,13 +1643,13 @@ function finalizeAITurn() {
     currentTurn = finishedPlayer === "attackers" ? "defenders" : "attackers";
   }
   currentActiveUnit = null;
-  renderGameScreen();
+  notifyStateChanged();
   let turnMsg = `--- End of ${finishedPlayer}'s activation. `;
   turnMsg += roundOver
     ? `Round ${currentRound} begins. Now ${currentTurn}'s turn. ---`
     : `Now ${currentTurn}'s turn. ---`;
-  showFloatingText(null, turnMsg);
-  $("#aiButton").text(`Activate unit`);
+  announceUnitMessage(null, turnMsg);
+  emitGameEvent("turnEnded", { finishedPlayer, currentTurn, roundOver });
 }
 
 /**
@@ -1405,24 +1657,23 @@ function finalizeAITurn() {
  */
 async function playFullRoundAlternating() {
   const initialRound = currentRound;
-  showFloatingText(null, `--- Playing Full Round ${initialRound} ---`);
-  while (currentRound === initialRound) {
+  announceUnitMessage(null, `--- Playing Full Round ${initialRound} ---`);
+  while (currentRound === initialRound && !isGameOver) {
+    const attackers = getUnitsInPlay("attackers");
+    const defenders = getUnitsInPlay("defenders");
     const anyUnitLeft =
-      clusterCache.attackers.some((u) => !u.activated) ||
-      clusterCache.defenders.some((u) => !u.activated);
+      attackers.some((u) => !u.activated) ||
+      defenders.some((u) => !u.activated);
     if (
       !anyUnitLeft &&
-      !(
-        clusterCache.attackers.every((u) => u.shaken) &&
-        clusterCache.defenders.every((u) => u.shaken)
-      )
+      !(attackers.every((u) => u.shaken) && defenders.every((u) => u.shaken))
     ) {
       if (
-        clusterCache.attackers.every((u) => u.activated || u.shaken) &&
-        clusterCache.defenders.every((u) => u.activated || u.shaken)
+        attackers.every((u) => u.activated || u.shaken) &&
+        defenders.every((u) => u.activated || u.shaken)
       ) {
         finalizeAITurn();
-        if (currentRound === initialRound) {
+        if (currentRound === initialRound && !isGameOver) {
           console.warn(
             "playFullRoundAlternating: Stuck in round; forcing break."
           );
@@ -1434,7 +1685,7 @@ async function playFullRoundAlternating() {
     if (actionPromise) {
       await actionPromise;
       if (currentActiveUnit && currentActiveUnit.lastPerformedAction) {
-        appendToCombatLog(
+        logGameMessage(
           `--- ${
             currentActiveUnit.name
           } finished ${currentActiveUnit.lastPerformedAction.toUpperCase()} ---`
@@ -1447,10 +1698,12 @@ async function playFullRoundAlternating() {
     // Optional delay for pacing:
     // await new Promise(resolve => setTimeout(resolve, 50));
   }
-  showFloatingText(
-    null,
-    `--- Full Round ${initialRound} Completed. Next round is ${currentRound}. ---`
-  );
+  if (!isGameOver) {
+    announceUnitMessage(
+      null,
+      `--- Full Round ${initialRound} Completed. Next round is ${currentRound}. ---`
+    );
+  }
 }
 
 /**
@@ -0,0 +1,212 @@
+// --- army_forge_parser.js ---
+// Converts Army Forge JSON list exports into the same { units, armyName } structure as parseArmybook.
+
+function isArmyForgeJson(rawText) {
+  return rawText.trim().startsWith("{");
+}
+
+function formatArmyForgeRule(rule) {
+  if (typeof rule === "string") return rule;
+  const name = (rule.name || rule.label || "").trim();
+  const hasRating =
+    rule.rating !== undefined && rule.rating !== null && rule.rating !== "";
+  return hasRating ? `${name}(${rule.rating})` : name;
+}
+
+function parseArmyForgeWeapon(weapon) {
+  let ap = 0;
+  const special = {};
+  (weapon.specialRules || weapon.rules || []).forEach((rule) => {
+    const name = (typeof rule === "string" ? rule : rule.name || "").trim();
+    if (!name) return;
+    const rating = parseInt(rule.rating, 10);
+    if (/^AP$/i.test(name)) ap = rating || 0;
+    else special[name.toLowerCase()] = isNaN(rating) ? true : rating;
+  });
+  return {
+    amount: weapon.count || 1,
+    name: (weapon.name || weapon.label || "Weapon").trim(),
+    range: weapon.range || 0,
+    attacks: weapon.attacks || 1,
+    ap,
+    special,
+  };
+}
+
+function mergeArmyForgeWeapons(weapons) {
+  const merged = new Map();
+  weapons.forEach((weapon) => {
+    const key = `${weapon.name}|${weapon.range}|${weapon.attacks}|${
+      weapon.ap
+    }|${JSON.stringify(weapon.special)}`;
+    if (merged.has(key)) merged.get(key).amount += weapon.amount;
+    else merged.set(key, { ...weapon });
+  });
+  return Array.from(merged.values()).filter((w) => w.amount > 0);
+}
+
+// Collects weapons and rules from equipment, loadout and upgrade gains. Items
+// (e.g. "Recon Kit") contribute the rules and weapons listed in their content.
+function collectArmyForgeGains(entries, weapons, rules) {
+  (entries || []).forEach((entry) => {
+    if (!entry) return;
+    const isWeapon =
+      entry.type === "ArmyBookWeapon" ||
+      (entry.type === undefined && entry.attacks !== undefined);
+    if (isWeapon) {
+      weapons.push(parseArmyForgeWeapon(entry));
+    } else if (entry.type === "ArmyBookItem" || entry.content) {
+      const count = entry.count || 1;
+      const itemWeapons = [];
+      collectArmyForgeGains(entry.content, itemWeapons, rules);
+      itemWeapons.forEach((w) =>
+        weapons.push({ ...w, amount: w.amount * count })
+      );
+    } else if (entry.name) {
+      rules.push(formatArmyForgeRule(entry));
+    }
+  });
+}
+
+function getArmyForgeReplaceCount(upgrade, option, fallback) {
+  const affects = upgrade.affects;
+  if (affects === "all" || affects?.type === "all") return Infinity;
+  if (typeof affects === "number") return affects;
+  if (typeof affects?.value === "number") return affects.value;
+  return option.gains?.[0]?.count || fallback;
+}
+
+function applyArmyForgeUpgrades(unit, weapons, rules) {
+  let points = 0;
+  (unit.selectedUpgrades || []).forEach((selection) => {
+    const upgrade = selection.upgrade || {};
+    const option = selection.option || selection;
+    points += (option.costs || []).reduce((sum, c) => sum + (c.cost || 0), 0);
+    if (typeof option.cost === "number") points += option.cost;
+    if (upgrade.type === "replace" && !unit.loadout) {
+      (upgrade.replaceWhat || []).flat().forEach((replacedName) => {
+        let remaining = getArmyForgeReplaceCount(upgrade, option, 1);
+        weapons.forEach((w) => {
+          if (remaining <= 0 || w.name !== replacedName) return;
+          const removed = Math.min(w.amount, remaining);
+          w.amount -= removed;
+          remaining -= removed;
+        });
+      });
+    }
+    if (!unit.loadout) collectArmyForgeGains(option.gains, weapons, rules);
+    else
+      (option.gains || [])
+        .filter((g) => g.type !== "ArmyBookWeapon" && g.type !== "ArmyBookItem")
+        .forEach((g) => rules.push(formatArmyForgeRule(g)));
+  });
+  return points;
+}
+
+function parseArmyForgeUnit(unit) {
+  const weapons = [];
+  const rules = (unit.rules || []).map(formatArmyForgeRule);
+  collectArmyForgeGains(unit.loadout || unit.equipment, weapons, rules);
+  const upgradePoints = applyArmyForgeUpgrades(unit, weapons, rules);
+  const {
+    special,
+    keywords,
+    rules: parsedRules,
+    unknownRules,
+  } = parseSpecialsAndKeywords([...new Set(rules.filter(Boolean))]);
+  return {
+    name: (unit.customName || unit.name || "Unit").trim(),
+    models: unit.size || unit.models || 1,
+    quality: parseInt(unit.quality, 10) || 6,
+    defense: parseInt(unit.defense, 10) || 6,
+    points: (unit.cost ?? unit.points ?? 0) + upgradePoints,
+    special,
+    weapons: mergeArmyForgeWeapons(weapons),
+    keywords,
+    rules: parsedRules,
+    unknownRules,
+  };
+}
+
+function parseArmyForgeJson(rawText) {
+  const diagnostics = [];
+  let data;
+  try {
+    data = JSON.parse(rawText);
+  } catch (error) {
+    const position = error.message.match(/position (\d+)/);
+    diagnostics.push({
+      line: position
+        ? rawText.slice(0, +position[1]).split(/\r?\n/).length
+        : null,
+      severity: "error",
+      message: `Invalid Army Forge JSON: ${error.message}`,
+    });
+    return { units: {}, armyName: "Unnamed Army", diagnostics };
+  }
+  const list = data.list || data;
+  const armyName = (
+    list.name ||
+    data.armyName ||
+    data.armyBook?.name ||
+    "Unnamed Army"
+  ).trim();
+  const entries = (list.units || []).map((unit, index) => ({
+    id: unit.selectionId || unit.id || `unit-${index}`,
+    joinTo: unit.joinToUnit || null,
+    combined: !!unit.combined,
+    subUnit: parseArmyForgeUnit(unit),
+  }));
+  const byId = new Map(entries.map((e) => [e.id, e]));
+  const resolveJoinTarget = (id) =>
+    byId.get(id)?.merged ? byId.get(id).joinTo : id;
+  entries.forEach((entry) => {
+    if (entry.joinTo && !byId.has(entry.joinTo))
+      diagnostics.push({
+        line: null,
+        severity: "warning",
+        message: `${entry.subUnit.name} joins unknown unit "${entry.joinTo}" and was added on its own.`,
+      });
+  });
+
+  // Combined units merge into the unit they were combined with.
+  entries.forEach((entry) => {
+    const target = byId.get(entry.joinTo);
+    if (!entry.combined || !target || target === entry) return;
+    const base = target.subUnit;
+    base.models += entry.subUnit.models;
+    base.points += entry.subUnit.points;
+    base.weapons = mergeArmyForgeWeapons([
+      ...base.weapons,
+      ...entry.subUnit.weapons,
+    ]);
+    entry.merged = true;
+  });
+
+  const units = {};
+  entries
+    .filter((e) => !e.merged && !(e.joinTo && byId.has(e.joinTo)))
+    .forEach((entry) => {
+      const heroes = entries.filter(
+        (e) => !e.merged && resolveJoinTarget(e.joinTo) === entry.id
+      );
+      const subUnits = [...heroes.map((h) => h.subUnit), entry.subUnit];
+      const group = {
+        name: subUnits.map((su) => su.name).join(" + "),
+        subUnits,
+      };
+      let finalGroupName = group.name,
+        counter = 1;
+      while (units[finalGroupName])
+        finalGroupName = `${group.name} (${++counter})`;
+      group.name = finalGroupName;
+      units[finalGroupName] = group;
+    });
+  if (entries.length === 0)
+    diagnostics.push({
+      line: null,
+      severity: "error",
+      message: "The Army Forge JSON contains no units.",
+    });
+  return { units, armyName, diagnostics };
+}
@@ -4,6 +4,64 @@
 // (hit, save, wound calculation), used by both shooting and melee.
 // --------------------------------------------------------------------------
 
+const STEALTH_RANGE_IN = 9;
+
+// Distance-dependent to-hit modifiers for shooting, from the rules of the
+// target (the core rules have no range penalty). Each entry applies its value
+// to the hit roll when `applies` returns true for the shot.
+const RANGED_HIT_MODIFIERS = [
+  {
+    name: "Stealth",
+    value: -1,
+    applies: ({ targetUnitCluster, distanceIn }) =>
+      distanceIn > STEALTH_RANGE_IN &&
+      targetUnitCluster.subUnitStates
+        .filter((sus) => sus.currentModelsInSubUnit > 0)
+        .every((sus) => sus.originalSubUnitData.special?.stealth),
+  },
+];
+
+/**
+ * Collects the to-hit modifiers for a ranged weapon shooting at a unit.
+ * @param {Object} shootingUnitCluster - The shooting unit.
+ * @param {Object} targetUnitCluster - The target unit.
+ * @param {Object} weapon - The ranged weapon.
+ * @returns {Array<{name: string, value: number}>} The modifiers that apply.
+ */
+function getRangedHitModifiers(shootingUnitCluster, targetUnitCluster, weapon) {
+  const shot = {
+    shootingUnitCluster,
+    targetUnitCluster,
+    weapon,
+    distanceIn: getMinDistanceBetweenClusters(
+      shootingUnitCluster,
+      targetUnitCluster
+    ),
+  };
+  return RANGED_HIT_MODIFIERS.filter((modifier) => modifier.applies(shot)).map(
+    ({ name, value }) => ({ name, value })
+  );
+}
+
+/**
+ * The roll a model needs to save a hit: its Defense, improved by Shield Wall
+ * and cover and worsened by AP, never better than 2+. Used by the attack
+ * sequence and by the AI's damage estimates, so both agree.
+ * @param {Object} saveSubUnit - Parsed data of the sub-unit saving.
+ * @param {number} [ap=0] - The hit's AP.
+ * @param {boolean} [inCover=false] - Whether cover applies to the hit.
+ * @returns {number} The save target.
+ */
+function getSaveTarget(saveSubUnit, ap = 0, inCover = false) {
+  return Math.max(
+    2,
+    saveSubUnit.defense -
+      (saveSubUnit.special?.shieldWall ? 1 : 0) -
+      (inCover ? 1 : 0) +
+      (ap || 0)
+  );
+}
+
 /**
  * Simulates a full attack sequence (hit, save, wound calc) for game logic.
  * @param {Object} attackerSubUnit - The specific sub-unit data of the attacker.
@@ -12,10 +70,19 @@
  * @param {string} targetUnitName - The name of the target cluster.
  * @param {number} defenderClusterModelsForBlast - Current total models in the defending cluster (for Blast).
  * @param {Object} [actionContext={}] - Context like { isMelee: false, isCharge: false, isHold: true }.
+ *   With `autoHit: true` (spells) every attack hits without a roll; with
+ *   `isImpact: true` hits land on 2+ regardless of Quality; `battleDrills: true` gives
+ *   Furious on the charge (from a Battle Drills aura). `allocation` holds a cursor from
+ *   createWoundAllocationCursor (and `allocationFocus` an optional sub-unit state taking all
+ *   hits) so each hit is saved by the model it is allocated to.
  * @param {boolean} [isTargetInCover=false] - Whether the target is in cover.
  * @param {boolean} [isAttackerFatigued=false] - Whether the attacker is fatigued for this melee attack.
  * @param {Object} group - The attacker's unit group data.
- * @returns {{woundPackets: Array, totalDamageInflicted: number, log: Array<string>}}
+ * @param {Array<{name: string, value: number}>} [hitModifiers=[]] - To-hit modifiers
+ *   (see getRangedHitModifiers); a natural 6 still hits.
+ * @returns {{woundPackets: Array, totalDamageInflicted: number, log: Array<string>, events: Array<Object>}}
+ *   `events` holds the same steps as `log` as typed objects: attack, hitRolls, blast,
+ *   saveRolls, deadly, specialSaveRolls and woundPackets.
  */
 function gameRollAttackSequence(
   attackerSubUnit,
@@ -26,9 +93,11 @@ function gameRollAttackSequence(
   actionContext = {},
   isTargetInCover = false,
   isAttackerFatigued = false,
-  group
+  group,
+  hitModifiers = []
 ) {
   const combatLog = [];
+  const combatEvents = [];
 
   // 1. Determine Attack Parameters
   const isMelee = weapon.range === 0;
@@ -49,7 +118,13 @@ function gameRollAttackSequence(
     if (weapon.special?.reliable) {
       qTarget = Math.max(2, qTarget - 1);
     }
+    // Sniper weapons shoot at Quality 2+ whatever the shooter's Quality.
+    if (weapon.special?.sniper && !isMelee) qTarget = 2;
   }
+  if (actionContext.isImpact) qTarget = 2;
+  const hitModifierTotal = hitModifiers.reduce((sum, m) => sum + m.value, 0);
+  if (hitModifierTotal !== 0)
+    qTarget = Math.min(6, Math.max(2, qTarget - hitModifierTotal));
   const precisionAPBonus =
     attackerSubUnit.special?.precisionShots && !isMelee ? 1 : 0;
 
@@ -57,19 +132,36 @@ function gameRollAttackSequence(
   combatLog.push(
     `${attackerSubUnit.name} (Q${qTarget}+) with ${weapon.amount}x ${weapon.name} ${weaponDisplayDetails} vs ${targetUnitName}'s D${targetDForDisplay}+`
   );
+  combatEvents.push({
+    type: "attack",
+    attacker: attackerSubUnit.name,
+    weapon: weapon.name,
+    target: targetUnitName,
+    isMelee,
+    quality: qTarget,
+    defense: targetDForDisplay,
+    hitModifiers,
+  });
+  if (hitModifiers.length > 0)
+    combatLog.push(
+      `  Hit modifiers: ${hitModifiers
+        .map((m) => `${m.name} ${m.value > 0 ? "+" : ""}${m.value}`)
+        .join(", ")} → hits on ${qTarget}+`
+    );
 
   // 2. Roll to Hit
   const diceCount = weapon.amount * weapon.attacks;
   const rawHits = [];
+  const hitRolls = [];
   let hitRollsSuccess = [];
   let hitRollsFail = [];
   let extraHitThreshold = 0;
   const extraAbils = [];
 
   if (actionContext.isCharge && isMelee) {
-    const groupHasBattleDrills = group.subUnits.some(
-      (u) => u.special?.battleDrills
-    );
+    const groupHasBattleDrills =
+      actionContext.battleDrills ||
+      group.subUnits.some((u) => u.special?.battleDrills);
     if (groupHasBattleDrills && attackerSubUnit.special?.furiousOriginal) {
       extraAbils.push("Double Furious (Battle Drills)");
       extraHitThreshold = 5;
@@ -79,7 +171,9 @@ function gameRollAttackSequence(
     }
   }
   if (
-    (actionContext.isHold || actionContext == "Hold") &&
+    (actionContext.isHold ||
+      actionContext == "Hold" ||
+      actionContext.action === "Hold") &&
     attackerSubUnit.special?.relentless
   ) {
     extraAbils.push("Relentless");
@@ -90,8 +184,13 @@ function gameRollAttackSequence(
     extraHitThreshold = Math.max(extraHitThreshold, 6);
   }
 
-  for (let i = 0; i < diceCount; i++) {
+  if (actionContext.autoHit) {
+    for (let i = 0; i < diceCount; i++) rawHits.push({ ap: weapon.ap || 0 });
+    extraAbils.push("Automatic hits");
+  }
+  for (let i = 0; i < diceCount && !actionContext.autoHit; i++) {
     const roll = rollDie();
+    hitRolls.push(roll);
     const currentAP =
       weapon.special?.rending && (roll === 6 || (roll > 1 && roll >= qTarget))
         ? Math.max(weapon.ap || 0, 4)
@@ -118,13 +217,21 @@ function gameRollAttackSequence(
   }
   combatLog.push(
     `  Hits: ${rawHits.filter((h) => !h.fromExtra).length}✅ [${
-      hitRollsSuccess.join(",") || "None"
+      hitRollsSuccess.join(",") || (actionContext.autoHit ? "Auto" : "None")
     }] (${rawHits.length} total after extras) | Misses: ${
       hitRollsFail.length
     }❌ [${hitRollsFail.join(",") || "None"}]`
   );
   if (extraAbils.length > 0)
     combatLog.push(`  Special Hit Rules: ${extraAbils.join(", ")}`);
+  combatEvents.push({
+    type: "hitRolls",
+    rolls: hitRolls,
+    hits: hitRollsSuccess.length,
+    misses: hitRollsFail.length,
+    totalHits: rawHits.length,
+    specialRules: extraAbils,
+  });
 
   // 3. Apply Blast
   let hitsAfterBlast = [...rawHits];
@@ -140,120 +247,155 @@ function gameRollAttackSequence(
         fromBlast: true,
       }))
     );
-    if (blastMultiplier > 1 && hitsAfterBlast.length > originalHitCount)
+    if (blastMultiplier > 1 && hitsAfterBlast.length > originalHitCount) {
       combatLog.push(
         `  Blast(${weapon.special.blast}) vs ${defenderClusterModelsForBlast} models -> ${hitsAfterBlast.length} total hits (was ${originalHitCount})`
       );
+      combatEvents.push({
+        type: "blast",
+        blast: weapon.special.blast,
+        targetModels: defenderClusterModelsForBlast,
+        hitsBefore: originalHitCount,
+        hitsAfter: hitsAfterBlast.length,
+      });
+    }
   }
 
   // 4. Resolve Saves
-  const baseD = defenderSubUnit.defense;
-  const shieldWBonus = defenderSubUnit.special?.shieldWall ? 1 : 0;
-  const coverBonus = isTargetInCover ? 1 : 0;
-  const saveRollsSuccess = [];
-  const saveRollsFailObjects = [];
+  // With an allocation cursor each hit is saved by the model it is allocated
+  // to, with that sub-unit's Defense and rules; otherwise by defenderSubUnit.
+  const allocation = actionContext.allocation || null;
+
   const deadlyValue = weapon.special?.deadly ? weapon.special?.deadly : 1;
+  const saveGroups = [];
+  let woundPackets = [];
+  let saveFailureCount = 0;
+  let unallocatedHits = 0;
+
+  // Rolls a wound-ignoring rule for each wound of a packet and returns the wounds left.
+  const rollIgnoreWounds = (wounds, ignoreOn, rolls) => {
+    let left = wounds;
+    for (let i = 0; i < wounds; i++) {
+      const r = rollDie();
+      if (r >= ignoreOn) {
+        left--;
+        rolls.saved.push(r);
+      } else {
+        rolls.failed.push(r);
+      }
+    }
+    return left;
+  };
 
   hitsAfterBlast.forEach((hit) => {
-    const effectiveCoverForSave = hit.fromBlast ? 0 : coverBonus;
-    const saveTarget = Math.max(
-      2,
-      baseD - shieldWBonus - effectiveCoverForSave + (hit.ap || 0)
+    const entry = allocation
+      ? getAllocatedCursorEntry(allocation, actionContext.allocationFocus)
+      : null;
+    if (allocation && !entry) {
+      unallocatedHits++;
+      return;
+    }
+    const saveSubUnit = entry
+      ? entry.state.originalSubUnitData
+      : defenderSubUnit;
+    let group = saveGroups[saveGroups.length - 1];
+    if (!group || group.subUnit !== saveSubUnit) {
+      group = {
+        subUnit: saveSubUnit,
+        saved: [],
+        failed: [],
+        medicalTraining: { saved: [], failed: [] },
+        selfRepair: { saved: [], failed: [] },
+      };
+      saveGroups.push(group);
+    }
+    const saveTarget = getSaveTarget(
+      saveSubUnit,
+      hit.ap,
+      !hit.fromBlast && isTargetInCover
     );
     const saveRoll = rollDie();
 
-    if (saveRoll === 1 || !(saveRoll === 6 || saveRoll >= saveTarget)) {
-      saveRollsFailObjects.push({
-        roll: saveRoll,
-        hitAP: hit.ap,
-        deadly: deadlyValue,
-      });
-    } else {
-      saveRollsSuccess.push(String(saveRoll));
+    if (!(saveRoll === 1 || !(saveRoll === 6 || saveRoll >= saveTarget))) {
+      group.saved.push(saveRoll);
+      return;
+    }
+    group.failed.push(saveRoll);
+    saveFailureCount++;
+    let packet = deadlyValue;
+    if (saveSubUnit.special?.medicalTraining)
+      packet = rollIgnoreWounds(packet, 5, group.medicalTraining);
+    if (saveSubUnit.special?.selfRepair && packet > 0)
+      packet = rollIgnoreWounds(packet, 6, group.selfRepair);
+    if (packet > 0) {
+      woundPackets.push(packet);
+      if (entry) advanceWoundAllocationCursor(entry, packet);
     }
   });
 
-  combatLog.push(
-    `  Saves: ${saveRollsSuccess.length}✅ [${
-      saveRollsSuccess.join(",") || "None"
-    }] | Fails: ${saveRollsFailObjects.length}❌ [${
-      saveRollsFailObjects.map((f) => f.roll).join(",") || "None"
-    }]`
-  );
-
-  const saveFailures = saveRollsFailObjects;
-  let woundPackets = [];
-
-  if (weapon.special?.deadly) {
+  saveGroups.forEach((group) => {
+    const groupD = getSaveTarget(group.subUnit, 0, isTargetInCover);
     combatLog.push(
-      `  Applying Deadly(${weapon.special.deadly}) → ${saveFailures.length} hits → ${saveFailures.length} packets of ${weapon.special.deadly}`
+      `  Saves${allocation ? ` (${group.subUnit.name}, D${groupD}+)` : ""}: ${
+        group.saved.length
+      }✅ [${group.saved.join(",") || "None"}] | Fails: ${
+        group.failed.length
+      }❌ [${group.failed.join(",") || "None"}]`
     );
-    woundPackets = saveFailures.map(() => weapon.special.deadly);
-  } else {
-    woundPackets = saveFailures.map(() => 1);
-  }
-
-  if (defenderSubUnit.special?.medicalTraining && woundPackets.length) {
-    const kept = [];
-    const mtRolls = [];
-    const successRolls = [];
-    const failRolls = [];
-    woundPackets.forEach((w) => {
-      let preventedCount = 0;
-      for (let i = 0; i < w; i++) {
-        const r = rollDie();
-        if (r >= 5) {
-          preventedCount++;
-          successRolls.push(r);
-        } else {
-          failRolls.push(r);
-        }
-      }
-      const after = w - preventedCount;
-      if (after > 0) kept.push(after);
+    combatEvents.push({
+      type: "saveRolls",
+      subUnit: group.subUnit.name,
+      saved: group.saved,
+      failed: group.failed,
     });
+    [
+      ["Medical Training", group.medicalTraining],
+      ["Self-Repair", group.selfRepair],
+    ].forEach(([rule, rolls]) => {
+      if (rolls.saved.length + rolls.failed.length === 0) return;
+      combatLog.push(
+        `    ${rule}: ✅${rolls.saved.length} [${
+          rolls.saved.join(",") || "–"
+        }] | ❌${rolls.failed.length} [${rolls.failed.join(",") || "–"}]`
+      );
+      combatEvents.push({
+        type: "specialSaveRolls",
+        rule,
+        subUnit: group.subUnit.name,
+        saved: rolls.saved,
+        failed: rolls.failed,
+      });
+    });
+  });
+  if (unallocatedHits > 0)
     combatLog.push(
-      `    Medical Training: ✅${successRolls.length} [${
-        successRolls.join(",") || "–"
-      }] | ❌${failRolls.length} [${failRolls.join(",") || "–"}]`
+      `  ${unallocatedHits} hits lost: no models left to allocate them to.`
     );
-    woundPackets = kept;
-  }
 
-  if (defenderSubUnit.special?.selfRepair && woundPackets.length) {
-    const kept = [];
-    const mtRolls = [];
-    const successRolls = [];
-    const failRolls = [];
-    woundPackets.forEach((w) => {
-      let preventedCount = 0;
-      for (let i = 0; i < w; i++) {
-        const r = rollDie();
-        if (r === 6) {
-          preventedCount++;
-          successRolls.push(r);
-        } else {
-          failRolls.push(r);
-        }
-      }
-      const after = w - preventedCount;
-      if (after > 0) kept.push(after);
-    });
+  if (weapon.special?.deadly) {
     combatLog.push(
-      `    Self-Repair: ✅${successRolls.length} [${
-        successRolls.join(",") || "–"
-      }] | ❌${failRolls.length} [${failRolls.join(",") || "–"}]`
+      `  Applying Deadly(${weapon.special.deadly}) → ${saveFailureCount} hits → ${saveFailureCount} packets of ${weapon.special.deadly}`
     );
-    woundPackets = kept;
+    combatEvents.push({
+      type: "deadly",
+      deadly: weapon.special.deadly,
+      packets: saveFailureCount,
+    });
   }
 
   const totalDamageInflicted = woundPackets.reduce((sum, p) => sum + p, 0);
   combatLog.push(
     `  → Total wound packets: ${woundPackets.length}, total wounds: ${totalDamageInflicted}`
   );
+  combatEvents.push({
+    type: "woundPackets",
+    packets: woundPackets,
+    totalWounds: totalDamageInflicted,
+  });
   return {
     woundPackets,
     totalDamageInflicted,
     log: combatLog,
+    events: combatEvents,
   };
 }
@@ -0,0 +1,177 @@
+// --------------------------------------------------------------------------
+// AURAS AND ORDERS
+// This file contains hero abilities that affect other friendly units: auras
+// that apply to every friendly unit within a radius of the unit carrying them,
+// and orders that a unit issues to one friendly unit when it activates and that
+// last until the end of the round. Both produce effects that the attack
+// sequence and morale tests read through getActiveEffects.
+// --------------------------------------------------------------------------
+
+// Auras, keyed by the special rule key that grants them.
+const AURA_DEFINITIONS = {
+  companyStandard: {
+    name: "Company Standard",
+    radiusIn: 12,
+    effect: { moraleBonus: 1 },
+  },
+  battleDrills: {
+    name: "Battle Drills",
+    radiusIn: 6,
+    effect: { furiousOnCharge: true },
+  },
+  holdTheLine: {
+    name: "Hold the Line",
+    radiusIn: 6,
+    effect: { holdTheLine: true },
+  },
+};
+
+// Orders, keyed by the special rule key that grants them. Each can be issued
+// once per round to a friendly unit within range (including the issuing unit).
+const ORDER_DEFINITIONS = {
+  takeAim: {
+    name: "Take Aim",
+    rangeIn: 12,
+    effect: { hitBonus: 1 },
+    // Only worth giving to units that have yet to shoot this round.
+    canReceive: (unitCluster) =>
+      unitCluster.bestRangeIn > 0 && !unitCluster.activated,
+  },
+};
+
+/**
+ * Whether any sub-unit with models left in a unit has a special rule.
+ * @param {Object} unitCluster - The unit cluster.
+ * @param {string} key - The special rule key.
+ * @returns {boolean} True if the unit has the rule.
+ */
+function unitHasSpecialRule(unitCluster, key) {
+  return unitCluster.subUnitStates.some(
+    (sus) =>
+      sus.currentModelsInSubUnit > 0 && !!sus.originalSubUnitData.special?.[key]
+  );
+}
+
+/**
+ * Collects the aura and order effects currently applying to a unit. Auras are
+ * measured from the units on the table right now; orders last for the round
+ * they were issued in.
+ * @param {Object} unitCluster - The unit cluster.
+ * @returns {Array<{name: string, sourceId: string}>} Effects, each with the
+ *   fields of its definition's `effect` (moraleBonus, hitBonus, furiousOnCharge,
+ *   holdTheLine).
+ */
+function getActiveEffects(unitCluster) {
+  const effects = [];
+  Object.entries(AURA_DEFINITIONS).forEach(([key, aura]) => {
+    const source = (clusterCache[unitCluster.side] || []).find(
+      (c) =>
+        unitHasSpecialRule(c, key) &&
+        (c === unitCluster ||
+          getMinDistanceBetweenClusters(c, unitCluster) <= aura.radiusIn)
+    );
+    if (source)
+      effects.push({ name: aura.name, sourceId: source.id, ...aura.effect });
+  });
+  (unitCluster.roundEffects || [])
+    .filter((effect) => effect.round === currentRound)
+    .forEach((effect) => effects.push(effect));
+  return effects;
+}
+
+/**
+ * Sums a numeric effect field over a unit's active effects.
+ * @param {Object} unitCluster - The unit cluster.
+ * @param {string} field - The effect field, e.g. "moraleBonus".
+ * @returns {number} The total bonus.
+ */
+function getEffectBonus(unitCluster, field) {
+  return getActiveEffects(unitCluster).reduce(
+    (sum, effect) => sum + (effect[field] || 0),
+    0
+  );
+}
+
+/**
+ * Turns a unit's to-hit effects into modifiers for gameRollAttackSequence.
+ * @param {Object} unitCluster - The attacking unit.
+ * @returns {Array<{name: string, value: number}>} The modifiers.
+ */
+function getEffectHitModifiers(unitCluster) {
+  return getActiveEffects(unitCluster)
+    .filter((effect) => effect.hitBonus)
+    .map((effect) => ({ name: effect.name, value: effect.hitBonus }));
+}
+
+/**
+ * Gives an order's effect to a unit for the rest of the round.
+ * @param {Object} issuerCluster - The unit issuing the order.
+ * @param {string} key - The order's special rule key.
+ * @param {Object} targetCluster - The friendly unit receiving it.
+ */
+function issueOrder(issuerCluster, key, targetCluster) {
+  const order = ORDER_DEFINITIONS[key];
+  issuerCluster.ordersIssued = {
+    ...(issuerCluster.ordersIssued || {}),
+    [key]: currentRound,
+  };
+  targetCluster.roundEffects = [
+    ...(targetCluster.roundEffects || []).filter(
+      (effect) => effect.round === currentRound && effect.name !== order.name
+    ),
+    {
+      name: order.name,
+      sourceId: issuerCluster.id,
+      round: currentRound,
+      ...order.effect,
+    },
+  ];
+  logGameMessage(
+    `${issuerCluster.name} issues the order ${order.name} to ${
+      targetCluster === issuerCluster ? "itself" : targetCluster.name
+    } for this round.`
+  );
+  emitCombatEvent({
+    type: "order",
+    order: order.name,
+    unitId: issuerCluster.id,
+    targetId: targetCluster.id,
+    round: currentRound,
+  });
+}
+
+/**
+ * Lets an activating AI unit issue each of its orders that it has not yet
+ * used this round, to the friendly unit in range with the most firepower.
+ * @param {Object} unitCluster - The activating unit.
+ */
+function aiIssueOrders(unitCluster) {
+  Object.entries(ORDER_DEFINITIONS).forEach(([key, order]) => {
+    if (
+      !unitHasSpecialRule(unitCluster, key) ||
+      unitCluster.ordersIssued?.[key] === currentRound
+    )
+      return;
+    const candidates = clusterCache[unitCluster.side]
+      .filter(
+        (c) =>
+          order.canReceive(c) &&
+          (c === unitCluster ||
+            getMinDistanceBetweenClusters(unitCluster, c) <= order.rangeIn) &&
+          !getActiveEffects(c).some((effect) => effect.name === order.name)
+      )
+      .map((c) => ({
+        unit: c,
+        firepower: c.subUnitStates.reduce(
+          (sum, sus) =>
+            sum +
+            (sus.effectiveWeapons || [])
+              .filter((w) => w.range > 0)
+              .reduce((s, w) => s + calculateWeaponGoodness(w), 0),
+          0
+        ),
+      }))
+      .sort((a, b) => b.firepower - a.firepower);
+    if (candidates.length > 0) issueOrder(unitCluster, key, candidates[0].unit);
+  });
+}
@@ -0,0 +1,187 @@
+// --------------------------------------------------------------------------
+// BATCH BATTLE RUNNER
+// This file contains the Monte Carlo runner that plays many headless games
+// between the parsed armies (one seed per game) and summarises win rates,
+// objectives held and points destroyed with confidence intervals.
+// --------------------------------------------------------------------------
+
+const BATCH_CONFIDENCE_Z = 1.96; // 95% confidence intervals
+
+/**
+ * Plays one complete game (up to maxRounds) with the current armies, without animation.
+ * Overwrites the live game state; callers reset it afterwards.
+ * @param {number} seed - The seed for this game.
+ * @returns {Promise<Object>} Summary: { seed, winner, objectivesHeld, pointsDestroyedBy }.
+ */
+async function runHeadlessGame(seed) {
+  resetGameState();
+  setRandomSeed(seed);
+  terrainFeatures = generateAndPlaceAllTerrain();
+  setupObjectives();
+  startDeploymentPhase(true);
+  // One spare round guards against a round that never completes.
+  for (let round = 0; round <= maxRounds && !isGameOver; round++) {
+    await playFullRound();
+  }
+  if (!isGameOver) endGame("roundLimit");
+
+  const { winner, stats } = gameResult;
+  return {
+    seed,
+    winner,
+    objectivesHeld: {
+      attackers: stats.attackers.objectivesHeld,
+      defenders: stats.defenders.objectivesHeld,
+    },
+    pointsDestroyedBy: {
+      attackers: stats.attackers.pointsDestroyed,
+      defenders: stats.defenders.pointsDestroyed,
+    },
+  };
+}
+
+/**
+ * Wilson score interval for a proportion.
+ * @param {number} successes - Number of successes.
+ * @param {number} trials - Number of trials.
+ * @returns {{rate: number, low: number, high: number}}
+ */
+function calculateProportionInterval(successes, trials) {
+  if (trials === 0) return { rate: 0, low: 0, high: 0 };
+  const z = BATCH_CONFIDENCE_Z;
+  const p = successes / trials;
+  const denominator = 1 + (z * z) / trials;
+  const center = (p + (z * z) / (2 * trials)) / denominator;
+  const margin =
+    (z * Math.sqrt((p * (1 - p)) / trials + (z * z) / (4 * trials * trials))) /
+    denominator;
+  return {
+    rate: p,
+    low: Math.max(0, center - margin),
+    high: Math.min(1, center + margin),
+  };
+}
+
+/**
+ * Normal-approximation confidence interval for the mean of a sample. All batch
+ * metrics are counts or points, so the lower bound is clamped at zero.
+ * @param {number[]} values - The sample.
+ * @returns {{mean: number, low: number, high: number}}
+ */
+function calculateMeanInterval(values) {
+  if (values.length === 0) return { mean: 0, low: 0, high: 0 };
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  if (values.length === 1) return { mean, low: mean, high: mean };
+  const variance =
+    values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1);
+  const margin = BATCH_CONFIDENCE_Z * Math.sqrt(variance / values.length);
+  return { mean, low: Math.max(0, mean - margin), high: mean + margin };
+}
+
+/**
+ * Aggregates individual game results into batch statistics.
+ * @param {Object[]} games - Results from runHeadlessGame.
+ * @param {number} baseSeed - The seed of the first game.
+ * @param {number} failedGames - Games aborted by an error.
+ * @returns {Object} The batch summary.
+ */
+function summarizeBatchResults(games, baseSeed, failedGames = 0) {
+  const count = (winner) => games.filter((g) => g.winner === winner).length;
+  const perSide = (pick) => ({
+    attackers: calculateMeanInterval(games.map((g) => pick(g).attackers)),
+    defenders: calculateMeanInterval(games.map((g) => pick(g).defenders)),
+  });
+  return {
+    baseSeed,
+    gamesPlayed: games.length,
+    failedGames,
+    winRates: {
+      attackers: calculateProportionInterval(count("attackers"), games.length),
+      defenders: calculateProportionInterval(count("defenders"), games.length),
+      draw: calculateProportionInterval(count("draw"), games.length),
+    },
+    objectivesHeld: perSide((g) => g.objectivesHeld),
+    pointsDestroyedBy: perSide((g) => g.pointsDestroyedBy),
+    games,
+  };
+}
+
+/**
+ * Runs a batch of headless games with consecutive seeds starting at baseSeed.
+ * Game events are suspended for the duration and the game state is reset afterwards.
+ * @param {number} gameCount - How many games to play.
+ * @param {number|string} [baseSeed] - Seed of the first game (random if omitted).
+ * @param {Function} [onProgress] - Called with (gamesDone, gameCount) after each game.
+ * @returns {Promise<Object>} The batch summary from summarizeBatchResults.
+ */
+async function runBatchBattles(
+  gameCount,
+  baseSeed = generateRandomSeed(),
+  onProgress
+) {
+  const firstSeed = normalizeRandomSeed(baseSeed);
+  const games = [];
+  let failedGames = 0;
+  setGameEventsSuspended(true);
+  try {
+    for (let i = 0; i < gameCount; i++) {
+      const seed = (firstSeed + i) >>> 0;
+      try {
+        games.push(await runHeadlessGame(seed));
+      } catch (error) {
+        failedGames++;
+        console.error(`Batch game with seed ${seed} failed:`, error);
+      }
+      if (onProgress) onProgress(i + 1, gameCount);
+      // Yield so the page stays responsive between games.
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  } finally {
+    setGameEventsSuspended(false);
+    resetGameState();
+  }
+  return summarizeBatchResults(games, firstSeed, failedGames);
+}
+
+/**
+ * Formats a batch summary as combat-log lines.
+ * @param {Object} summary - The batch summary.
+ * @returns {string[]} Report lines.
+ */
+function formatBatchReport(summary) {
+  const pct = (v) => `${(v * 100).toFixed(1)}%`;
+  const rateLine = (label, r) =>
+    `  ${label}: ${pct(r.rate)} (95% CI ${pct(r.low)} – ${pct(r.high)})`;
+  const meanLine = (label, m, digits) =>
+    `  ${label}: ${m.mean.toFixed(digits)} (95% CI ${m.low.toFixed(
+      digits
+    )} – ${m.high.toFixed(digits)})`;
+  const lines = [
+    `--- Batch Results: ${summary.gamesPlayed} games, seeds ${
+      summary.baseSeed
+    }–${
+      (summary.baseSeed + summary.gamesPlayed + summary.failedGames - 1) >>> 0
+    } ---`,
+    `Win rates:`,
+    rateLine(
+      currentAttackerArmyName + " (attackers)",
+      summary.winRates.attackers
+    ),
+    rateLine(
+      currentDefenderArmyName + " (defenders)",
+      summary.winRates.defenders
+    ),
+    rateLine("Draws", summary.winRates.draw),
+    `Average objectives held at game end:`,
+    meanLine("Attackers", summary.objectivesHeld.attackers, 2),
+    meanLine("Defenders", summary.objectivesHeld.defenders, 2),
+    `Average points destroyed:`,
+    meanLine("By attackers", summary.pointsDestroyedBy.attackers, 0),
+    meanLine("By defenders", summary.pointsDestroyedBy.defenders, 0),
+  ];
+  if (summary.failedGames > 0)
+    lines.push(
+      `Warning: ${summary.failedGames} games failed and were skipped.`
+    );
+  return lines;
+}
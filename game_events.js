@@ -0,0 +1,99 @@
+// --- game_events.js ---
+// Publish/subscribe channel between the headless rules engine and any view layer.
+// The engine only emits events; the canvas/jQuery layer subscribes and draws them.
+
+const gameEventListeners = {};
+const gameEventPresenters = {};
+let gameEventsSuspended = false;
+
+/**
+ * Subscribes a listener to an engine event type ("*" receives every event).
+ * @param {string} type - The event type, e.g. "log" or "unitMoved".
+ * @param {Function} listener - Called with (payload, type).
+ * @returns {Function} A function that removes the listener again.
+ */
+function onGameEvent(type, listener) {
+  (gameEventListeners[type] = gameEventListeners[type] || []).push(listener);
+  return () => offGameEvent(type, listener);
+}
+
+/**
+ * Removes a previously subscribed listener.
+ * @param {string} type - The event type the listener was registered for.
+ * @param {Function} listener - The listener to remove.
+ */
+function offGameEvent(type, listener) {
+  if (!gameEventListeners[type]) return;
+  gameEventListeners[type] = gameEventListeners[type].filter(
+    (l) => l !== listener
+  );
+}
+
+/**
+ * Emits an engine event synchronously to all listeners of that type.
+ * @param {string} type - The event type.
+ * @param {Object} [payload={}] - Event data.
+ */
+function emitGameEvent(type, payload = {}) {
+  if (gameEventsSuspended) return;
+  [
+    ...(gameEventListeners[type] || []),
+    ...(gameEventListeners["*"] || []),
+  ].forEach((listener) => listener(payload, type));
+}
+
+/**
+ * Registers the presenter for an event type that the engine waits on (e.g. movement
+ * animation). Passing null removes it, so the engine continues immediately.
+ * @param {string} type - The event type.
+ * @param {Function|null} presenter - Called with (payload, done).
+ */
+function setGameEventPresenter(type, presenter) {
+  if (presenter) gameEventPresenters[type] = presenter;
+  else delete gameEventPresenters[type];
+}
+
+/**
+ * Emits an event and lets its presenter (if any) finish before calling back.
+ * @param {string} type - The event type.
+ * @param {Object} payload - Event data.
+ * @param {Function} callback - Called once presentation is complete.
+ */
+function presentGameEvent(type, payload, callback) {
+  emitGameEvent(type, payload);
+  const presenter = gameEventPresenters[type];
+  if (presenter && !gameEventsSuspended) presenter(payload, callback);
+  else callback();
+}
+
+/**
+ * Suspends (or resumes) all listeners and presenters, e.g. while batch games
+ * run headless in the same page as the board view.
+ * @param {boolean} suspended - True to silence events.
+ */
+function setGameEventsSuspended(suspended) {
+  gameEventsSuspended = suspended;
+}
+
+/** Emits a free-text combat log line. */
+function logGameMessage(message) {
+  emitGameEvent("log", { message });
+}
+
+/** Emits a message attached to a unit (or a general announcement when unit is null). */
+function announceUnitMessage(unit, message) {
+  emitGameEvent("unitMessage", { unit, message });
+}
+
+/**
+ * Emits a structured combat event (dice rolls, wounds, morale) as a "combat" event.
+ * @param {Object} event - A JSON-safe object with a `type` field, e.g. { type: "hitRolls", ... }.
+ */
+function emitCombatEvent(event) {
+  emitGameEvent("combat", event);
+}
+
+/** Tells views that the board state changed and should be redrawn. */
+function notifyStateChanged() {
+  emitGameEvent("stateChanged");
+}
@@ -1,44 +1,71 @@
 // --- game_setup.js ---
 // Handles the setup phase of the game, including terrain and unit deployment.
 
-// (Keep all other functions like createImageForTerrainFeature, defineTerrainPieces, etc. the same)
-
-const terrainColorMapping = {
-  dangerous: "rgba(204, 0, 0, 0.2)",
-  blocking: "rgba(85, 85, 85, 0.2)",
-  difficult: "rgba(0, 100, 0, 0.2)",
-  cover: "rgba(160, 82, 45, 0.2)",
-};
-
 function isScoutUnit(unit) {
   return unit.subUnits?.every((su) => su.special?.scout);
 }
 
-function startDeploymentPhase() {
+function startDeploymentPhase(deployImmediately = false) {
   isDeploymentComplete = false;
   clusterCache.attackers = [];
   clusterCache.defenders = [];
+  // Ambush units stay in reserve and arrive from round 2 (see reserve_logic.js).
   const allAttackers = Object.values(currentAttackerUnits);
-  unitsToDeploy.attackers = allAttackers
+  reserveUnits.attackers = allAttackers.filter(isAmbushUnit);
+  const tableAttackers = allAttackers.filter((u) => !isAmbushUnit(u));
+  // Transports deploy first so that passengers can start embarked.
+  const deploymentOrder = (a, b) =>
+    isTransportGroup(b) - isTransportGroup(a) ||
+    (a.subUnits[0].points || 0) - (b.subUnits[0].points || 0);
+  unitsToDeploy.attackers = tableAttackers
     .filter((u) => !isScoutUnit(u))
-    .sort((a, b) => (a.subUnits[0].points || 0) - (b.subUnits[0].points || 0));
-  scoutUnits.attackers = allAttackers.filter(isScoutUnit);
+    .sort(deploymentOrder);
+  scoutUnits.attackers = tableAttackers.filter(isScoutUnit);
   const allDefenders = Object.values(currentDefenderUnits);
-  unitsToDeploy.defenders = allDefenders
+  reserveUnits.defenders = allDefenders.filter(isAmbushUnit);
+  const tableDefenders = allDefenders.filter((u) => !isAmbushUnit(u));
+  unitsToDeploy.defenders = tableDefenders
     .filter((u) => !isScoutUnit(u))
-    .sort((a, b) => (a.subUnits[0].points || 0) - (b.subUnits[0].points || 0));
-  scoutUnits.defenders = allDefenders.filter(isScoutUnit);
-  const rollOffWinner = Math.random() < 0.5 ? "attackers" : "defenders";
+    .sort(deploymentOrder);
+  scoutUnits.defenders = tableDefenders.filter(isScoutUnit);
+  const rollOffWinner = randomFloat() < 0.5 ? "attackers" : "defenders";
   attackerDeploymentEdge = rollOffWinner === "attackers" ? "top" : "bottom";
   defenderDeploymentEdge = rollOffWinner === "attackers" ? "bottom" : "top";
   currentDeploymentPlayer = rollOffWinner;
-  appendToCombatLog(
+  logGameMessage(
     `--- Starting Deployment Phase. ${rollOffWinner} to place first. ---`
   );
-  setTimeout(() => deployUnit(false), 100);
+  [...reserveUnits.attackers, ...reserveUnits.defenders].forEach((u) =>
+    logGameMessage(`   > ${u.name} is kept in Ambush reserve.`)
+  );
+  if (deployImmediately) deployAllUnitsImmediately();
+  else setTimeout(() => deployUnit(false), 100);
 }
 
+// Paced deployment for the board view: one unit every 100ms.
 function deployUnit(isScoutPhase) {
+  const nextPhaseIsScout = deployNextUnit(isScoutPhase);
+  if (nextPhaseIsScout !== null)
+    setTimeout(() => deployUnit(nextPhaseIsScout), 100);
+}
+
+// Unpaced deployment for headless games; gives up on units that never fit.
+function deployAllUnitsImmediately() {
+  const maxSteps = 500;
+  let phaseIsScout = false;
+  for (let step = 0; phaseIsScout !== null && step < maxSteps; step++)
+    phaseIsScout = deployNextUnit(phaseIsScout);
+  if (phaseIsScout !== null) {
+    logGameMessage("Warning: Deployment did not finish, starting anyway.");
+    isDeploymentComplete = true;
+    grantSpellTokens();
+    emitGameEvent("deploymentComplete");
+  }
+}
+
+// Deploys the next queued unit. Returns whether the following step is in the
+// Scout phase, or null once deployment is complete.
+function deployNextUnit(isScoutPhase) {
   const deployList = isScoutPhase ? scoutUnits : unitsToDeploy;
   const player = currentDeploymentPlayer;
   const opponent = player === "attackers" ? "defenders" : "attackers";
@@ -49,29 +76,25 @@ function deployUnit(isScoutPhase) {
         !isScoutPhase &&
         (scoutUnits.attackers.length > 0 || scoutUnits.defenders.length > 0)
       ) {
-        appendToCombatLog(
+        logGameMessage(
           "--- Main deployment complete. Starting Scout deployment. ---"
         );
-        setTimeout(() => deployUnit(true), 100);
-      } else {
-        appendToCombatLog("--- All units deployed. Deployment Complete! ---");
-        isDeploymentComplete = true;
-        $("#startDeploymentButton").hide();
-        $("#aiButton").show().prop("disabled", false);
-        $("#playRoundButton").show().prop("disabled", false);
-        displayRoundMessage("Deployment Complete!");
+        return true;
       }
-      return;
+      logGameMessage("--- All units deployed. Deployment Complete! ---");
+      isDeploymentComplete = true;
+      grantSpellTokens();
+      emitGameEvent("deploymentComplete");
+      return null;
     }
     currentDeploymentPlayer = opponent;
-    setTimeout(() => deployUnit(isScoutPhase), 100);
-    return;
+    return isScoutPhase;
   }
 
   const unitToDeploy = deployList[player].shift();
   const deploymentEdge =
     player === "attackers" ? attackerDeploymentEdge : defenderDeploymentEdge;
-  const sectionIndex = Math.floor(Math.random() * 3);
+  const sectionIndex = randomInt(3);
   const placementInfo = findValidPlacementInSection(
     unitToDeploy,
     player,
@@ -91,9 +114,10 @@ function deployUnit(isScoutPhase) {
     });
     if (!newCluster) {
       deployList[player].unshift(unitToDeploy);
-      return;
+      return null;
     }
     clusterCache[player].push(newCluster);
+    embarkStartingPassengers(newCluster, deployList[player]);
 
     if (isScoutPhase) {
       let nearestObj = objectives.sort(
@@ -102,47 +126,40 @@ function deployUnit(isScoutPhase) {
           distance(b, { x: newCluster.cxIn, y: newCluster.cyIn })
       )[0];
       if (nearestObj) {
-        const dx = nearestObj.x - newCluster.cxIn,
-          dy = nearestObj.y - newCluster.cyIn;
-        const dist = Math.hypot(dx, dy);
-        const moveAmount = Math.min(12, dist);
-        const moveX = dist > 0 ? (dx / dist) * moveAmount : 0;
-        const moveY = dist > 0 ? (dy / dist) * moveAmount : 0;
-
-        // Update cluster center and origin
-        newCluster.cxIn += moveX;
-        newCluster.cyIn += moveY;
-        newCluster.originXIn += moveX;
-        newCluster.originYIn += moveY;
-
-        // *** FIX: UPDATE MODEL POSITIONS ***
-        newCluster.models.forEach((model) => {
-          model.x += moveX;
-          model.y += moveY;
+        const dist = distance(nearestObj, {
+          x: newCluster.cxIn,
+          y: newCluster.cyIn,
         });
-
-        newCluster.img = createImageForCluster(newCluster); // Redraw the image at the new location
-        appendToCombatLog(
-          `   > Scout ${newCluster.name} moves ${moveAmount.toFixed(
+        const move = planTerrainAwareMove(
+          newCluster,
+          nearestObj,
+          Math.min(12, dist)
+        );
+        translateUnitCluster(
+          newCluster,
+          move.to.x - newCluster.cxIn,
+          move.to.y - newCluster.cyIn
+        );
+        logGameMessage(
+          `   > Scout ${newCluster.name} moves ${move.distance.toFixed(
             1
           )}" towards objective.`
         );
+        if (move.crossesDangerous) takeDangerousTerrainTest(newCluster);
       }
     }
   } else {
-    appendToCombatLog(
+    logGameMessage(
       `Warning: Could not place ${unitToDeploy.name}, re-queueing.`
     );
     deployList[player].unshift(unitToDeploy);
   }
 
-  renderGameScreen();
+  notifyStateChanged();
   currentDeploymentPlayer = opponent;
-  setTimeout(() => deployUnit(isScoutPhase), 100);
+  return isScoutPhase;
 }
 
-// (Rest of the file remains the same: isPositionValid, createImageForTerrainFeature, attemptPlaceTerrain, etc.)
-// ...
 function isPositionValid(candidate, placed, minSep = 4) {
   if (
     candidate.x < 0 ||
@@ -163,50 +180,11 @@ function isPositionValid(candidate, placed, minSep = 4) {
   return true;
 }
 
-function createImageForTerrainFeature(feature) {
-  if (!pxPerInch || pxPerInch <= 0) return null;
-  const widthPx = Math.max(1, Math.ceil(feature.widthIn * pxPerInch));
-  const heightPx = Math.max(1, Math.ceil(feature.heightIn * pxPerInch));
-  const canvas = document.createElement("canvas");
-  canvas.width = widthPx;
-  canvas.height = heightPx;
-  const ctx = canvas.getContext("2d");
-  if (feature.properties.dangerous)
-    ctx.fillStyle = terrainColorMapping.dangerous;
-  else if (feature.properties.blocking)
-    ctx.fillStyle = terrainColorMapping.blocking;
-  else if (feature.properties.difficult)
-    ctx.fillStyle = terrainColorMapping.difficult;
-  else if (feature.properties.cover) ctx.fillStyle = terrainColorMapping.cover;
-  else ctx.fillStyle = "rgba(200,200,200,0.2)";
-  ctx.fillRect(0, 0, widthPx, heightPx);
-  ctx.strokeStyle = "rgba(50,50,50,0.2)";
-  ctx.lineWidth = Math.max(1, pxPerInch * 0.05);
-  ctx.strokeRect(0, 0, widthPx, heightPx);
-  ctx.fillStyle = "rgba(0,0,0,0.9)";
-  ctx.font = `${Math.max(8, Math.round(8 * (pxPerInch / 15)))}px sans-serif`;
-  ctx.textAlign = "center";
-  ctx.textBaseline = "middle";
-  const propertiesList = Object.keys(feature.properties).filter(
-    (key) => feature.properties[key]
-  );
-  if (propertiesList.length > 0) {
-    const lineHeight = Math.ceil(parseInt(ctx.font) * 1.2);
-    let startY =
-      (heightPx - propertiesList.length * lineHeight) / 2 + lineHeight / 2;
-    propertiesList.forEach((item) => {
-      ctx.fillText(item.toUpperCase(), widthPx / 2, startY);
-      startY += lineHeight;
-    });
-  }
-  return canvas;
-}
-
 function attemptPlaceTerrain(pieceSpec, placed) {
   for (let i = 0; i < 20; i++) {
     const candidate = {
-      x: Math.random() * (ZONE_W_IN - pieceSpec.widthIn),
-      y: Math.random() * (ZONE_H_IN - pieceSpec.heightIn),
+      x: randomFloat() * (ZONE_W_IN - pieceSpec.widthIn),
+      y: randomFloat() * (ZONE_H_IN - pieceSpec.heightIn),
       widthIn: pieceSpec.widthIn,
       heightIn: pieceSpec.heightIn,
     };
@@ -226,11 +204,11 @@ function defineTerrainPieces() {
   const totalWeight = terrainTypes.reduce((sum, t) => sum + t.weight, 0);
   return Array.from({ length: numPieces }, (_, i) => {
     const isLarge = i < Math.ceil(numPieces * 0.4);
-    let widthIn = isLarge ? 6 + Math.random() * 4 : 3 + Math.random() * 2;
-    let heightIn = isLarge ? 6 + Math.random() * 4 : 3 + Math.random() * 2;
+    let widthIn = isLarge ? 6 + randomFloat() * 4 : 3 + randomFloat() * 2;
+    let heightIn = isLarge ? 6 + randomFloat() * 4 : 3 + randomFloat() * 2;
     widthIn = Math.ceil(widthIn * 2) / 2;
     heightIn = Math.ceil(heightIn * 2) / 2;
-    const rnd = Math.random() * totalWeight;
+    const rnd = randomFloat() * totalWeight;
     let cumulative = 0,
       chosenType = "cover";
     for (let t of terrainTypes) {
@@ -263,14 +241,10 @@ function generateAndPlaceAllTerrain() {
     (p) => p.y + p.heightIn / 2 >= ZONE_H_IN / 2
   );
   if (topHalf.length > 0)
-    topHalf[
-      Math.floor(Math.random() * topHalf.length)
-    ].properties.dangerous = true;
+    topHalf[randomInt(topHalf.length)].properties.dangerous = true;
   if (bottomHalf.length > 0)
-    bottomHalf[
-      Math.floor(Math.random() * bottomHalf.length)
-    ].properties.dangerous = true;
-  appendToCombatLog(`--- Placed ${newTerrain.length} terrain features. ---`);
+    bottomHalf[randomInt(bottomHalf.length)].properties.dangerous = true;
+  logGameMessage(`--- Placed ${newTerrain.length} terrain features. ---`);
   return newTerrain;
 }
 
@@ -279,8 +253,8 @@ function setupObjectives() {
   const regionTop = MARGIN_Y,
     regionHeight = ZONE_H_IN - 2 * MARGIN_Y;
   objectives = Array.from({ length: numMarkers }, () => ({
-    x: Math.random() * ZONE_W_IN,
-    y: regionTop + Math.random() * regionHeight,
+    x: randomFloat() * ZONE_W_IN,
+    y: regionTop + randomFloat() * regionHeight,
     controller: null,
   }));
 }
@@ -0,0 +1,154 @@
+// --------------------------------------------------------------------------
+// GAME STATE SAVE / LOAD
+// This file contains functions for exporting the complete game state to a
+// plain JSON object and restoring it again. Runtime-only fields (cached
+// canvases, sub-unit back-references) are dropped on save and rebuilt on load.
+// --------------------------------------------------------------------------
+
+const GAME_STATE_FORMAT_VERSION = 1;
+const RUNTIME_ONLY_STATE_KEYS = ["img", "originalSubUnitData"];
+
+/**
+ * Deep-copies plain game data, skipping runtime-only keys.
+ * @param {*} value - The value to copy.
+ * @returns {*} A JSON-safe copy.
+ */
+function cloneSerializableState(value) {
+  return JSON.parse(
+    JSON.stringify(value, (key, v) =>
+      RUNTIME_ONLY_STATE_KEYS.includes(key) ? undefined : v
+    )
+  );
+}
+
+/**
+ * Captures the complete game state as a JSON-serialisable object.
+ * @returns {Object} The saved game.
+ */
+function serializeGameState() {
+  return {
+    version: GAME_STATE_FORMAT_VERSION,
+    armies: {
+      attackers: {
+        name: currentAttackerArmyName,
+        units: cloneSerializableState(currentAttackerUnits),
+      },
+      defenders: {
+        name: currentDefenderArmyName,
+        units: cloneSerializableState(currentDefenderUnits),
+      },
+    },
+    clusterCache: cloneSerializableState(clusterCache),
+    reserveUnits: cloneSerializableState(reserveUnits),
+    embarkedUnits: cloneSerializableState(embarkedUnits),
+    objectives: cloneSerializableState(objectives),
+    terrainFeatures: cloneSerializableState(terrainFeatures),
+    currentTurn,
+    currentRound,
+    maxRounds,
+    playerWhoStartedCurrentRound,
+    playerWhoFinishedLastRoundFirst,
+    attackerDeploymentEdge,
+    defenderDeploymentEdge,
+    isDeploymentComplete,
+    isGameOver,
+    gameResult: cloneSerializableState(gameResult),
+    random: getRandomState(),
+  };
+}
+
+/**
+ * Rebuilds runtime references of a loaded cluster.
+ * @param {Object} cluster - A cluster from a saved game.
+ * @returns {Object} The same cluster, ready for play.
+ * @throws {Error} If the cluster is missing its models or sub-unit data.
+ */
+function rehydrateCluster(cluster) {
+  if (
+    !cluster ||
+    !Array.isArray(cluster.models) ||
+    !Array.isArray(cluster.subUnitStates) ||
+    !Array.isArray(cluster.unitGroupData?.subUnits) ||
+    cluster.subUnitStates.length !== cluster.unitGroupData.subUnits.length
+  )
+    throw new Error(
+      `Saved game has invalid data for unit ${cluster?.name || "(unnamed)"}.`
+    );
+  cluster.subUnitStates.forEach((sus, index) => {
+    sus.originalSubUnitData = cluster.unitGroupData.subUnits[index];
+  });
+  cluster.img = null; // Rebuilt by the renderer on the next draw.
+  return cluster;
+}
+
+/**
+ * Replaces the current game with a saved one. The saved game is checked and
+ * rebuilt in full before the current game is cleared, so a bad file leaves the
+ * current game untouched.
+ * @param {Object} savedState - An object produced by serializeGameState.
+ * @throws {Error} If the object is not a supported saved game.
+ */
+function restoreGameState(savedState) {
+  if (!savedState || typeof savedState !== "object")
+    throw new Error("Saved game is not a JSON object.");
+  if (savedState.version !== GAME_STATE_FORMAT_VERSION)
+    throw new Error(
+      `Unsupported saved game version: ${savedState.version} (expected ${GAME_STATE_FORMAT_VERSION}).`
+    );
+  if (
+    !Array.isArray(savedState.clusterCache?.attackers) ||
+    !Array.isArray(savedState.clusterCache?.defenders)
+  )
+    throw new Error("Saved game has no unit data.");
+  ["attackers", "defenders"].forEach((side) => {
+    const army = savedState.armies?.[side];
+    if (
+      typeof army?.name !== "string" ||
+      !army.units ||
+      typeof army.units !== "object"
+    )
+      throw new Error(`Saved game has no ${side} army list.`);
+  });
+
+  const state = cloneSerializableState(savedState);
+  const loadedClusters = {
+    attackers: state.clusterCache.attackers.map(rehydrateCluster),
+    defenders: state.clusterCache.defenders.map(rehydrateCluster),
+  };
+  const loadedEmbarkedUnits = {
+    attackers: (state.embarkedUnits?.attackers || []).map(rehydrateCluster),
+    defenders: (state.embarkedUnits?.defenders || []).map(rehydrateCluster),
+  };
+
+  resetGameState();
+  currentAttackerArmyName = state.armies.attackers.name;
+  currentAttackerUnits = state.armies.attackers.units;
+  currentDefenderArmyName = state.armies.defenders.name;
+  currentDefenderUnits = state.armies.defenders.units;
+  clusterCache = loadedClusters;
+  reserveUnits = state.reserveUnits || { attackers: [], defenders: [] };
+  embarkedUnits = loadedEmbarkedUnits;
+  objectives = state.objectives || [];
+  terrainFeatures = (state.terrainFeatures || []).map((f) => ({
+    ...f,
+    img: null,
+  }));
+  currentTurn = state.currentTurn;
+  currentRound = state.currentRound;
+  maxRounds = state.maxRounds || maxRounds;
+  playerWhoStartedCurrentRound = state.playerWhoStartedCurrentRound;
+  playerWhoFinishedLastRoundFirst = state.playerWhoFinishedLastRoundFirst;
+  attackerDeploymentEdge = state.attackerDeploymentEdge;
+  defenderDeploymentEdge = state.defenderDeploymentEdge;
+  isDeploymentComplete = !!state.isDeploymentComplete;
+  isGameOver = !!state.isGameOver;
+  gameResult = state.gameResult || null;
+  if (state.random) setRandomState(state.random);
+  cacheStale = true;
+
+  logGameMessage(
+    `--- Loaded game: round ${currentRound}, ${currentTurn} to activate. ---`
+  );
+  emitGameEvent("gameStateLoaded", { state: savedState });
+  notifyStateChanged();
+}
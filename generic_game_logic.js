@@ -5,6 +5,14 @@
 // and general unit stat calculations.
 // --------------------------------------------------------------------------
 
+const DIFFICULT_TERRAIN_MAX_MOVE_IN = 6;
+// Headings tried (relative to the straight line) when terrain is in the way.
+const TERRAIN_DETOUR_ANGLES_DEG = [
+  0, 15, -15, 30, -30, 45, -45, 60, -60, 75, -75, 90, -90,
+];
+// Every model must stay within 1" of another model of its unit.
+const COHERENCY_IN = 1;
+
 /**
  * Checks if any friendly non-shaken unit of the given side is near the objective.
  * "Near" means any part of the unit's base is within 3" of the objective marker.
@@ -105,6 +113,9 @@ function getUnitMoveValue(unitCluster, moveType) {
   let distance = baseDist;
   if (keywords.includes("fast") || special.fast) distance += modifier;
   if (keywords.includes("slow") || special.slow) distance -= modifier;
+  // Set for the activation in which a unit disembarks from a transport.
+  if (unitCluster.moveLimitIn !== undefined)
+    distance = Math.min(distance, unitCluster.moveLimitIn);
 
   return Math.max(0, distance);
 }
@@ -129,6 +140,180 @@ function getUnitAdvanceDistance(unitCluster) {
   return getUnitMoveValue(unitCluster, "advance");
 }
 
+/**
+ * Checks whether every remaining sub-unit of a cluster has a special rule.
+ * @param {Object} unitCluster - The unit cluster.
+ * @param {string} ruleKey - The key in `special`, e.g. "strider".
+ * @returns {boolean} True if the whole unit has the rule.
+ */
+function clusterHasSpecialRule(unitCluster, ruleKey) {
+  const activeSubUnits = (unitCluster.subUnitStates || []).filter(
+    (sus) => sus.currentModelsInSubUnit > 0
+  );
+  return (
+    activeSubUnits.length > 0 &&
+    activeSubUnits.every((sus) => sus.originalSubUnitData.special?.[ruleKey])
+  );
+}
+
+/**
+ * Plans a move of up to distanceIn towards a point, respecting terrain:
+ * blocking terrain stops the move (other headings are tried to get around it),
+ * crossing difficult terrain limits the move to 6" (Strider ignores this), and
+ * crossing dangerous terrain is flagged for a test. Flying ignores all terrain.
+ * The unit's footprint is approximated by its effective radius.
+ * @param {Object} unitCluster - The unit to move.
+ * @param {{x: number, y: number}} targetCoordsIn - The point to move towards.
+ * @param {number} distanceIn - The intended move distance.
+ * @returns {{to: {x: number, y: number}, distance: number, reachedTarget: boolean,
+ *   limitedBy: string|null, crossesDangerous: boolean}} The move to perform.
+ */
+function planTerrainAwareMove(unitCluster, targetCoordsIn, distanceIn) {
+  const start = { x: unitCluster.cxIn, y: unitCluster.cyIn };
+  const totalDist = distance(start, targetCoordsIn);
+  const straightMove = {
+    to: { ...start },
+    distance: 0,
+    reachedTarget: totalDist < 0.01 || distanceIn <= 0,
+    limitedBy: null,
+    crossesDangerous: false,
+  };
+  if (totalDist < 0.01 || distanceIn <= 0) return straightMove;
+  const baseAngle = Math.atan2(
+    targetCoordsIn.y - start.y,
+    targetCoordsIn.x - start.x
+  );
+  const pointAt = (angle, dist) => ({
+    x: start.x + Math.cos(angle) * dist,
+    y: start.y + Math.sin(angle) * dist,
+  });
+  const intendedEnd = pointAt(baseAngle, distanceIn);
+  if (clusterHasSpecialRule(unitCluster, "flying"))
+    return {
+      ...straightMove,
+      to: intendedEnd,
+      distance: distanceIn,
+      reachedTarget: true,
+    };
+
+  const radius = getEffectiveRadius(unitCluster);
+  const ignoresDifficult = clusterHasSpecialRule(unitCluster, "strider");
+  // Terrain the unit already stands in never blocks it from leaving.
+  const blocking = terrainFeatures.filter(
+    (f) => f.properties.blocking && !isPointInRect(start, f, radius)
+  );
+  const difficult = ignoresDifficult
+    ? []
+    : terrainFeatures.filter((f) => f.properties.difficult);
+  const firstEntry = (features, end) =>
+    features.reduce((earliest, f) => {
+      const t = getSegmentRectEntryT(start, end, f, radius);
+      return t !== null && (earliest === null || t < earliest) ? t : earliest;
+    }, null);
+
+  let best = null;
+  TERRAIN_DETOUR_ANGLES_DEG.forEach((offsetDeg) => {
+    const angle = baseAngle + (offsetDeg * Math.PI) / 180;
+    let allowed = distanceIn,
+      limitedBy = null;
+    const blockT = firstEntry(blocking, pointAt(angle, distanceIn));
+    if (blockT !== null) {
+      allowed = Math.max(0, blockT * distanceIn - 0.1);
+      limitedBy = "blocking";
+    }
+    const difficultT = firstEntry(difficult, pointAt(angle, distanceIn));
+    if (
+      difficultT !== null &&
+      difficultT * distanceIn < allowed &&
+      allowed > DIFFICULT_TERRAIN_MAX_MOVE_IN
+    ) {
+      // Stopping short of the terrain can beat the 6" cap.
+      allowed = Math.max(
+        DIFFICULT_TERRAIN_MAX_MOVE_IN,
+        difficultT * distanceIn - 0.1
+      );
+      limitedBy = "difficult";
+    }
+    const end = pointAt(angle, allowed);
+    const remaining = distance(end, intendedEnd);
+    if (!best || remaining < best.remaining - 0.01)
+      best = { offsetDeg, end, allowed, limitedBy, remaining };
+  });
+
+  if (best.remaining >= distance(start, intendedEnd) - 0.01)
+    return { ...straightMove, limitedBy: best.limitedBy };
+  const crossesDangerous = terrainFeatures.some(
+    (f) =>
+      f.properties.dangerous &&
+      getSegmentRectEntryT(start, best.end, f, radius) !== null
+  );
+  return {
+    to: best.end,
+    distance: best.allowed,
+    reachedTarget: best.offsetDeg === 0 && best.allowed >= distanceIn - 0.01,
+    limitedBy: best.limitedBy,
+    crossesDangerous,
+  };
+}
+
+/**
+ * Dangerous terrain test: one die per model (Tough(X) models roll X dice),
+ * each 1 causes a wound.
+ * @param {Object} unitCluster - The unit taking the test.
+ * @param {string} [reason="moved through dangerous terrain"] - Why it tests, for the log.
+ */
+function takeDangerousTerrainTest(
+  unitCluster,
+  reason = "moved through dangerous terrain"
+) {
+  const rolls = [];
+  unitCluster.subUnitStates.forEach((sus) => {
+    const dicePerModel = sus.originalSubUnitData.special?.tough || 1;
+    for (let i = 0; i < sus.currentModelsInSubUnit * dicePerModel; i++)
+      rolls.push(rollDie());
+  });
+  const wounds = rolls.filter((r) => r === 1).length;
+  logGameMessage(
+    `  ${unitCluster.name} ${reason}: rolls [${rolls.join(
+      ","
+    )}] -> ${wounds} wounds.`
+  );
+  emitCombatEvent({
+    type: "dangerousTerrain",
+    unitId: unitCluster.id,
+    unitName: unitCluster.name,
+    reason,
+    rolls,
+    wounds,
+  });
+  if (wounds === 0) return;
+  const result = applyWoundsToCluster(unitCluster, wounds);
+  if (result.modelsKilledCount > 0)
+    logGameMessage(
+      `  ${unitCluster.name} lost ${result.modelsKilledCount} models to dangerous terrain.`
+    );
+  if (unitCluster.currentModels <= 0) {
+    announceUnitMessage(
+      unitCluster,
+      `${unitCluster.name} DESTROYED by dangerous terrain!`
+    );
+    logGameMessage(`${unitCluster.name} DESTROYED by dangerous terrain!`);
+    removeUnitFromTable(unitCluster);
+  }
+}
+
+/**
+ * Removes a destroyed or routed unit from the table. Passengers of a
+ * transport get out before it is removed (see evacuateTransport).
+ * @param {Object} unitCluster - The unit to remove.
+ */
+function removeUnitFromTable(unitCluster) {
+  clusterCache[unitCluster.side] = clusterCache[unitCluster.side].filter(
+    (c) => c.id !== unitCluster.id
+  );
+  if (getPassengers(unitCluster).length > 0) evacuateTransport(unitCluster);
+}
+
 /**
  * Gets the effective rush distance of a unit based on its keywords.
  * @param {Object} unitCluster - The AI unit cluster.
@@ -153,26 +338,35 @@ function performMoraleTest(
     return; // Unit is destroyed or invalid, no morale test
   }
 
-  appendToCombatLog(
+  logGameMessage(
     `--- ${unitCluster.name} must take a Morale Test (${reasonForTest}) ---`
   );
 
   let testFailedInitially = false; // Indicates if the primary test (roll or auto-fail) was failed
   let roll = null; // Initialize roll for logging
+  const moraleEvent = (event) =>
+    emitCombatEvent({
+      ...event,
+      unitId: unitCluster.id,
+      unitName: unitCluster.name,
+    });
 
   // Rule: Already shaken units auto-fail morale without rolling.
   if (unitCluster.shaken) {
-    appendToCombatLog(
+    logGameMessage(
       `  ${unitCluster.name} is already Shaken and automatically fails this Morale Test.`
     );
     testFailedInitially = true;
-    const side = clusterCache.attackers.some((c) => c.id === unitCluster.id)
-      ? "attackers"
-      : "defenders";
-
-    clusterCache[side] = clusterCache[side].filter(
-      (c) => c.id !== unitCluster.id
-    );
+    moraleEvent({
+      type: "moraleTest",
+      reason: reasonForTest,
+      isMelee: isMeleeTest,
+      quality: null,
+      roll: null,
+      passed: false,
+      automatic: true,
+    });
+    removeUnitFromTable(unitCluster);
 
     unitCluster.currentModels = 0; // Ensure model count is zeroed out
   } else {
@@ -181,20 +375,40 @@ function performMoraleTest(
     if (unitCluster.unitGroupData?.subUnits?.[0]) {
       qualityToTest = unitCluster.unitGroupData.subUnits[0].quality;
     }
+    // Auras such as Company Standard add to the morale roll.
+    const moraleBonus = getEffectBonus(unitCluster, "moraleBonus");
+    if (moraleBonus > 0) {
+      qualityToTest = Math.max(2, qualityToTest - moraleBonus);
+      logGameMessage(
+        `  ${getActiveEffects(unitCluster)
+          .filter((effect) => effect.moraleBonus)
+          .map((effect) => effect.name)
+          .join(", ")}: +${moraleBonus} to the morale roll.`
+      );
+    }
 
     roll = rollDie();
     const passed = roll === 6 || (roll > 1 && roll >= qualityToTest);
+    moraleEvent({
+      type: "moraleTest",
+      reason: reasonForTest,
+      isMelee: isMeleeTest,
+      quality: qualityToTest,
+      roll,
+      passed,
+      automatic: false,
+    });
 
     if (passed) {
-      appendToCombatLog(
+      logGameMessage(
         `  Morale Test (Q${qualityToTest}+): Rolled ${roll}. PASSED!`
       );
-      showFloatingText(
+      announceUnitMessage(
         unitCluster,
         `Morale: Passed (Rolled ${roll} vs Q${qualityToTest}+)`
       );
     } else {
-      appendToCombatLog(
+      logGameMessage(
         `  Morale Test (Q${qualityToTest}+): Rolled ${roll}. FAILED!`
       );
       testFailedInitially = true;
@@ -219,29 +433,38 @@ function performMoraleTest(
     }
 
     if (unitIsFearless) {
-      appendToCombatLog(
+      logGameMessage(
         `  Unit has Fearless. Rolling to ignore failed morale test (4+)...`
       );
       const fearlessRoll = rollDie();
+      moraleEvent({
+        type: "fearlessRoll",
+        roll: fearlessRoll,
+        passed: fearlessRoll >= 4,
+      });
       if (fearlessRoll >= 4) {
-        appendToCombatLog(
+        logGameMessage(
           `  Fearless roll: ${fearlessRoll}. PASSED! The morale test is now considered passed.`
         );
-        showFloatingText(
+        announceUnitMessage(
           unitCluster,
           `Fearless Save! (Rolled ${fearlessRoll})`
         );
         finalTestOutcomeIsFailure = false;
       } else {
-        appendToCombatLog(
+        logGameMessage(
           `  Fearless roll: ${fearlessRoll}. FAILED. The morale test remains failed.`
         );
       }
     }
 
-    // If still failed, check for Hold the Line / Robot.
+    // If still failed, check for Hold the Line (an aura, so it may come from a
+    // nearby hero) / Robot.
     if (finalTestOutcomeIsFailure) {
-      let unitHasHoldTheLine = false;
+      const holdTheLineAura = getActiveEffects(unitCluster).find(
+        (effect) => effect.holdTheLine
+      );
+      let unitHasHoldTheLine = !!holdTheLineAura;
       let activeRobotSubUnitsCount = 0;
       let totalActiveSubUnits = 0;
 
@@ -249,12 +472,6 @@ function performMoraleTest(
         unitCluster.subUnitStates.forEach((sus) => {
           if (sus.currentModelsInSubUnit > 0) {
             totalActiveSubUnits++;
-            if (
-              sus.originalSubUnitData.special &&
-              sus.originalSubUnitData.special.holdTheLine
-            ) {
-              unitHasHoldTheLine = true;
-            }
             if (
               sus.originalSubUnitData.special &&
               sus.originalSubUnitData.special.robot
@@ -276,10 +493,18 @@ function performMoraleTest(
       }
 
       if (unitHasHoldTheLine) {
-        appendToCombatLog(
-          `  Unit has Hold the Line / Robot! The morale test counts as PASSED.`
+        const auraSource =
+          holdTheLineAura && holdTheLineAura.sourceId !== unitCluster.id
+            ? clusterCache[unitCluster.side].find(
+                (c) => c.id === holdTheLineAura.sourceId
+              )
+            : null;
+        logGameMessage(
+          `  Unit has Hold the Line${
+            auraSource ? ` (from ${auraSource.name})` : ""
+          } / Robot! The morale test counts as PASSED.`
         );
-        showFloatingText(unitCluster, `Hold the Line! Test Passed.`);
+        announceUnitMessage(unitCluster, `Hold the Line! Test Passed.`);
         finalTestOutcomeIsFailure = false;
 
         let woundsToDestroyUnit = 0;
@@ -295,7 +520,7 @@ function performMoraleTest(
             }
           });
         }
-        appendToCombatLog(
+        logGameMessage(
           `  Calculating wounds to destroy: ${woundsToDestroyUnit}. Rolling ${woundsToDestroyUnit} dice (1-3 = 1 wound)...`
         );
         let damageFromHtL = 0;
@@ -305,12 +530,17 @@ function performMoraleTest(
           htlRolls.push(htlRoll);
           if (htlRoll <= 3) damageFromHtL++;
         }
-        appendToCombatLog(
+        logGameMessage(
           `  Hold the Line rolls: [${htlRolls.join(
             ", "
           )}]. Unit takes ${damageFromHtL} wounds.`
         );
-        showFloatingText(unitCluster, `HtL Damage: ${damageFromHtL}`);
+        announceUnitMessage(unitCluster, `HtL Damage: ${damageFromHtL}`);
+        moraleEvent({
+          type: "holdTheLine",
+          rolls: htlRolls,
+          wounds: damageFromHtL,
+        });
         if (damageFromHtL > 0) {
           applyWoundsToCluster(unitCluster, damageFromHtL);
         }
@@ -339,39 +569,103 @@ function performMoraleTest(
       }
 
       if (isHalfStrengthOrLess) {
-        appendToCombatLog(
+        logGameMessage(
           `  Unit is at half strength or less and failed melee morale. ROUTED!`
         );
-        showFloatingText(
+        announceUnitMessage(
           unitCluster,
           `MORALE FAILED (Rolled ${roll !== null ? roll : "Auto"}) -> ROUTED!`
         );
-        const side = clusterCache.attackers.some((c) => c.id === unitCluster.id)
-          ? "attackers"
-          : "defenders";
-        clusterCache[side] = clusterCache[side].filter(
-          (c) => c.id !== unitCluster.id
-        );
+        removeUnitFromTable(unitCluster);
         unitCluster.currentModels = 0;
+        moraleEvent({ type: "moraleOutcome", outcome: "routed" });
       } else {
-        appendToCombatLog(
+        logGameMessage(
           `  Unit failed melee morale but retains over half its strength. It is now SHAKEN.`
         );
         unitCluster.shaken = true;
-        showFloatingText(
+        moraleEvent({ type: "moraleOutcome", outcome: "shaken" });
+        announceUnitMessage(
           unitCluster,
           `MORALE FAILED (Rolled ${roll !== null ? roll : "Auto"}) -> SHAKEN!`
         );
       }
     } else {
-      appendToCombatLog(`  Unit failed morale and is now SHAKEN.`);
+      logGameMessage(`  Unit failed morale and is now SHAKEN.`);
       unitCluster.shaken = true;
-      showFloatingText(
+      moraleEvent({ type: "moraleOutcome", outcome: "shaken" });
+      announceUnitMessage(
         unitCluster,
         `MORALE FAILED (Rolled ${roll !== null ? roll : "Auto"}) -> SHAKEN!`
       );
     }
-    renderGameScreen();
+    notifyStateChanged();
+  } else {
+    moraleEvent({ type: "moraleOutcome", outcome: "passed" });
+  }
+}
+
+/**
+ * Orders a unit's sub-units with models left for wound allocation: non-heroes
+ * first, then heroes, each from the lowest Tough value up.
+ * @param {Object} targetCluster - The unit cluster taking wounds.
+ * @returns {Object[]} Sub-unit states in allocation order.
+ */
+function getWoundAllocationOrder(targetCluster) {
+  const byTough = (a, b) => a.woundsPerModel - b.woundsPerModel;
+  const alive = targetCluster.subUnitStates.filter(
+    (s) => s.currentModelsInSubUnit > 0
+  );
+  return [
+    ...alive.filter((s) => !s.isHeroSubUnit).sort(byTough),
+    ...alive.filter((s) => s.isHeroSubUnit).sort(byTough),
+  ];
+}
+
+/**
+ * Creates a cursor that follows applyWoundsToCluster's allocation on a copy of
+ * a unit's models and wounds, so the attack sequence can save each hit with the
+ * defense of the model that will take it. One cursor is shared by all attacks
+ * whose wound packets are applied together, in the same order.
+ * @param {Object} targetCluster - The unit cluster being attacked.
+ * @returns {{entries: Array<{state: Object, models: number, wounds: number}>}} The cursor.
+ */
+function createWoundAllocationCursor(targetCluster) {
+  return {
+    entries: getWoundAllocationOrder(targetCluster).map((sus) => ({
+      state: sus,
+      models: sus.currentModelsInSubUnit,
+      wounds: sus.woundsOnCurrentModelInSubUnit,
+    })),
+  };
+}
+
+/**
+ * Returns the cursor entry whose current model takes the next hit.
+ * @param {Object} cursor - A cursor from createWoundAllocationCursor.
+ * @param {Object} [focusSubUnitState=null] - A sub-unit taking all hits (Sniper).
+ * @returns {Object|null} The entry, or null once no model is left to take it.
+ */
+function getAllocatedCursorEntry(cursor, focusSubUnitState = null) {
+  return (
+    cursor.entries.find(
+      (e) =>
+        e.models > 0 && (!focusSubUnitState || e.state === focusSubUnitState)
+    ) || null
+  );
+}
+
+/**
+ * Records a wound packet on a cursor entry the way applyWoundsToCluster applies it.
+ * @param {Object} entry - The entry from getAllocatedCursorEntry.
+ * @param {number} packet - The wound packet.
+ */
+function advanceWoundAllocationCursor(entry, packet) {
+  if (packet >= entry.state.woundsPerModel - entry.wounds) {
+    entry.models--;
+    entry.wounds = 0;
+  } else {
+    entry.wounds += packet;
   }
 }
 
@@ -379,23 +673,24 @@ function performMoraleTest(
  * Applies wound packets to a target cluster, handling Tough, hero status, and model removal.
  * @param {Object} targetCluster - The unit cluster taking wounds.
  * @param {number[] | number} packets - An array of wound packets or a single number for total 1-wound hits.
+ * @param {Object} [focusSubUnitState=null] - A sub-unit state that takes all the wounds (Sniper),
+ *   regardless of hero status; wounds left over once it is wiped out are lost.
  * @returns {{modelsKilledCount: number, log: string[]}} Summary of the result.
  */
-function applyWoundsToCluster(targetCluster, packets) {
+function applyWoundsToCluster(
+  targetCluster,
+  packets,
+  focusSubUnitState = null
+) {
   let modelsKilled = 0;
   const log = [];
   const woundPackets = Array.isArray(packets)
     ? packets
     : Array(packets).fill(1);
 
-  const allocation = [
-    ...targetCluster.subUnitStates
-      .filter((s) => !s.isHeroSubUnit && s.currentModelsInSubUnit > 0)
-      .sort((a, b) => a.woundsPerModel - b.woundsPerModel),
-    ...targetCluster.subUnitStates
-      .filter((s) => s.isHeroSubUnit && s.currentModelsInSubUnit > 0)
-      .sort((a, b) => a.woundsPerModel - b.woundsPerModel),
-  ];
+  const allocation = focusSubUnitState
+    ? [focusSubUnitState]
+    : getWoundAllocationOrder(targetCluster);
 
   woundPackets.forEach((packet, idx) => {
     for (const sus of allocation) {
@@ -403,6 +698,10 @@ function applyWoundsToCluster(targetCluster, packets) {
       const remainingHP =
         sus.woundsPerModel - sus.woundsOnCurrentModelInSubUnit;
       if (packet >= remainingHP) {
+        const casualty = chooseCasualtyModel(targetCluster, sus);
+        targetCluster.models = targetCluster.models.filter(
+          (m) => m !== casualty
+        );
         modelsKilled++;
         targetCluster.currentModels--;
         sus.currentModelsInSubUnit--;
@@ -437,55 +736,279 @@ function applyWoundsToCluster(targetCluster, packets) {
   });
 
   targetCluster.currentModels = Math.max(0, targetCluster.currentModels);
-  if (targetCluster.currentModels > 0) {
-    updateClusterCircles(targetCluster);
+  if (modelsKilled > 0 && targetCluster.currentModels > 0) {
+    fitClusterBoundsToModels(targetCluster);
+    updateUnitCover(targetCluster);
+    emitGameEvent("unitChanged", { unit: targetCluster });
   }
+  emitCombatEvent({
+    type: "woundsApplied",
+    unitId: targetCluster.id,
+    unitName: targetCluster.name,
+    packets: [...woundPackets],
+    modelsKilled,
+    modelsRemaining: targetCluster.currentModels,
+  });
 
   return { modelsKilledCount: modelsKilled, log };
 }
 
 /**
- * Displays a large message in the center of the game canvas that fades out.
- * @param {string} message - The message to display.
+ * Splits models into groups linked by coherency: two models are linked when
+ * their bases are within 1" of each other.
+ * @param {Array<{x: number, y: number}>} models - Model positions.
+ * @returns {Array<Array<Object>>} The groups, largest first.
  */
-function displayRoundMessage(message) {
-  roundMessageInfo = {
-    text: message,
-    alpha: 1.0,
-    startTime: Date.now(),
-  };
-  renderGameScreen();
-
-  setTimeout(() => {
-    if (roundMessageInfo && roundMessageInfo.text === message) {
-      const fadeInterval = setInterval(() => {
-        if (!roundMessageInfo) {
-          clearInterval(fadeInterval);
-          return;
+function getCoherencyGroups(models) {
+  const unassigned = new Set(models);
+  const groups = [];
+  models.forEach((first) => {
+    if (!unassigned.has(first)) return;
+    unassigned.delete(first);
+    const group = [first];
+    for (let i = 0; i < group.length; i++) {
+      unassigned.forEach((other) => {
+        if (distance(group[i], other) - DIA_IN <= COHERENCY_IN + 1e-6) {
+          unassigned.delete(other);
+          group.push(other);
         }
-        roundMessageInfo.alpha -= 0.05;
-        if (roundMessageInfo.alpha <= 0) {
-          roundMessageInfo = null;
-          clearInterval(fadeInterval);
-        }
-        renderGameScreen();
-      }, 50);
+      });
     }
-  }, 1500);
+    groups.push(group);
+  });
+  return groups.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Checks whether models form a single coherent unit.
+ * @param {Array<{x: number, y: number}>} models - Model positions.
+ * @returns {boolean} True if every model is linked to all others.
+ */
+function areModelsCoherent(models) {
+  return getCoherencyGroups(models).length <= 1;
+}
+
+/**
+ * Picks which model of a sub-unit the owning player removes as a casualty:
+ * one whose removal keeps the unit coherent if there is one, and of those the
+ * one farthest from the enemy, so models in the fight are kept.
+ * @param {Object} unitCluster - The unit losing a model.
+ * @param {Object} subUnitState - The sub-unit the model belongs to.
+ * @returns {Object|null} The model to remove.
+ */
+function chooseCasualtyModel(unitCluster, subUnitState) {
+  const modelStates = getModelSubUnitStates(unitCluster);
+  const enemySide =
+    unitCluster.side === "attackers" ? "defenders" : "attackers";
+  const enemyModels = (clusterCache[enemySide] || []).flatMap((c) => c.models);
+  const candidates = unitCluster.models
+    .filter((model, index) => modelStates[index] === subUnitState)
+    .map((model) => ({
+      model,
+      keepsCoherency: areModelsCoherent(
+        unitCluster.models.filter((m) => m !== model)
+      ),
+      enemyDistance: Math.min(...enemyModels.map((e) => distance(model, e))),
+    }))
+    .sort(
+      (a, b) =>
+        b.keepsCoherency - a.keepsCoherency || b.enemyDistance - a.enemyDistance
+    );
+  return candidates.length > 0 ? candidates[0].model : null;
+}
+
+/**
+ * Checks that a model moving from one point to another does not end in
+ * blocking terrain. Terrain the model already stands in never blocks it from
+ * leaving.
+ * @param {{x: number, y: number}} from - Where the model starts.
+ * @param {{x: number, y: number}} to - Where the model would end.
+ * @returns {boolean} True if the end point is clear.
+ */
+function isModelMoveClearOfBlockingTerrain(from, to) {
+  return terrainFeatures.every(
+    (f) =>
+      !f.properties.blocking ||
+      isPointInRect(from, f, DIA_IN / 2) ||
+      !isPointInRect(to, f, DIA_IN / 2)
+  );
+}
+
+/**
+ * Moves each model of a unit along a planned unit move. Models stop short
+ * rather than end in blocking terrain or on another model, and models left out
+ * of coherency then close up towards the rest of the unit with whatever is
+ * left of their move.
+ * @param {Object} unitCluster - The unit moving.
+ * @param {{to: {x: number, y: number}, distance: number}} plan - The unit
+ *   move from planTerrainAwareMove.
+ * @returns {Array<{id: string, from: {x: number, y: number}, to: {x: number, y: number}}>}
+ *   Each model's move, in model order.
+ */
+function planModelMoves(unitCluster, plan) {
+  const dx = (plan.to.x - unitCluster.cxIn) / plan.distance;
+  const dy = (plan.to.y - unitCluster.cyIn) / plan.distance;
+  const ignoresTerrain = clusterHasSpecialRule(unitCluster, "flying");
+  const otherModels = [...clusterCache.attackers, ...clusterCache.defenders]
+    .filter((c) => c !== unitCluster && c.currentModels > 0)
+    .flatMap((c) => c.models);
+  const moves = unitCluster.models.map((model) => ({
+    id: model.id,
+    from: { x: model.x, y: model.y },
+    to: { x: model.x, y: model.y },
+  }));
+  const placed = [];
+  const isFree = (move, point) =>
+    [...otherModels, ...placed].every(
+      (m) => m === move.to || distance(point, m) >= DIA_IN - 1e-6
+    ) &&
+    (ignoresTerrain || isModelMoveClearOfBlockingTerrain(move.from, point));
+  const tryMove = (move, dirX, dirY, length) => {
+    for (let step = length; step > 0.05; step -= Math.max(0.1, length / 8)) {
+      const point = { x: move.to.x + dirX * step, y: move.to.y + dirY * step };
+      if (isFree(move, point)) {
+        move.to = point;
+        return;
+      }
+    }
+  };
+
+  // Leading models move first so the ones behind stop against them.
+  [...moves]
+    .sort(
+      (a, b) => b.from.x * dx + b.from.y * dy - (a.from.x * dx + a.from.y * dy)
+    )
+    .forEach((move) => {
+      tryMove(move, dx, dy, plan.distance);
+      placed.push(move.to);
+    });
+
+  for (let pass = 0; pass < moves.length; pass++) {
+    const groups = getCoherencyGroups(moves.map((move) => move.to));
+    if (groups.length <= 1) break;
+    const mainGroup = groups[0];
+    moves
+      .filter((move) => !mainGroup.includes(move.to))
+      .forEach((move) => {
+        const nearest = mainGroup.reduce((best, m) =>
+          distance(move.to, m) < distance(move.to, best) ? m : best
+        );
+        const gap = distance(move.to, nearest);
+        const closeBy = Math.min(
+          plan.distance - distance(move.from, move.to),
+          gap - DIA_IN - COHERENCY_IN / 2
+        );
+        if (closeBy <= 0.05) return;
+        const index = placed.indexOf(move.to);
+        tryMove(
+          move,
+          (nearest.x - move.to.x) / gap,
+          (nearest.y - move.to.y) / gap,
+          closeBy
+        );
+        placed[index] = move.to;
+      });
+  }
+
+  if (!areModelsCoherent(moves.map((move) => move.to))) {
+    // Fall back to moving in formation, as far as every model can go.
+    const shifted = (move, length) => ({
+      x: move.from.x + dx * length,
+      y: move.from.y + dy * length,
+    });
+    placed.length = 0;
+    let length = Math.min(...moves.map((move) => distance(move.from, move.to)));
+    while (
+      length > 0 &&
+      !moves.every((move) => isFree(move, shifted(move, length)))
+    )
+      length = Math.max(0, length - 0.1);
+    moves.forEach((move) => (move.to = shifted(move, length)));
+  }
+  return moves;
+}
+
+/**
+ * Moves a unit cluster towards a point by up to the given distance, applying
+ * terrain effects (see planTerrainAwareMove). Views may animate the move
+ * through the "unitMoved" presenter; the final position is always applied by
+ * the engine once presentation is done.
+ * @param {Object} unitCluster - The unit to move.
+ * @param {{x: number, y: number}} targetCoordsIn - The point to move towards.
+ * @param {number} distanceToMoveIn - The distance to move in inches.
+ * @param {Function} [callback] - Called with the executed move plan after the move has been applied.
+ */
+function moveUnitCluster(
+  unitCluster,
+  targetCoordsIn,
+  distanceToMoveIn,
+  callback
+) {
+  const plan = planTerrainAwareMove(
+    unitCluster,
+    targetCoordsIn,
+    distanceToMoveIn
+  );
+  if (plan.limitedBy === "blocking")
+    logGameMessage(
+      `  ${
+        unitCluster.name
+      }'s path is blocked by terrain (moves ${plan.distance.toFixed(
+        1
+      )}" of ${distanceToMoveIn.toFixed(1)}").`
+    );
+  else if (plan.limitedBy === "difficult")
+    logGameMessage(
+      `  ${unitCluster.name} moves through difficult terrain (max ${DIFFICULT_TERRAIN_MAX_MOVE_IN}").`
+    );
+  if (plan.distance <= 0) {
+    if (callback) callback(plan);
+    return;
+  }
+
+  const startCenter = { x: unitCluster.cxIn, y: unitCluster.cyIn };
+  const modelMoves = planModelMoves(unitCluster, plan);
+  if (!areModelsCoherent(modelMoves.map((move) => move.to)))
+    logGameMessage(`  ${unitCluster.name} ends its move out of coherency.`);
+
+  presentGameEvent(
+    "unitMoved",
+    {
+      unit: unitCluster,
+      from: startCenter,
+      to: { ...plan.to },
+      distance: plan.distance,
+      modelMoves,
+    },
+    () => {
+      // Snap to the final positions so presentation never alters the outcome.
+      unitCluster.models.forEach((model, index) => {
+        model.x = modelMoves[index].to.x;
+        model.y = modelMoves[index].to.y;
+      });
+      fitClusterBoundsToModels(unitCluster);
+      updateUnitCover(unitCluster);
+      notifyStateChanged();
+      if (plan.crossesDangerous) takeDangerousTerrainTest(unitCluster);
+      if (callback) callback(plan);
+    }
+  );
 }
 
 /**
  * Updates the controller status of all objectives based on unit presence at the end of a turn.
+ * Units that arrived from Ambush in the last round can neither seize nor contest objectives.
  */
 function updateObjectiveControlAtTurnEnd() {
+  const canScore = (u) => !u.shaken && !(u.ambushArrivalRound >= maxRounds);
   objectives.forEach((obj) => {
     const attackerUnitsNear =
       clusterCache.attackers.filter(
-        (u) => !u.shaken && isUnitNearPoint(u, obj, 3)
+        (u) => canScore(u) && isUnitNearPoint(u, obj, 3)
       ).length > 0;
     const defenderUnitsNear =
       clusterCache.defenders.filter(
-        (u) => !u.shaken && isUnitNearPoint(u, obj, 3)
+        (u) => canScore(u) && isUnitNearPoint(u, obj, 3)
       ).length > 0;
 
     let newController = obj.controller;
@@ -506,3 +1029,132 @@ function updateObjectiveControlAtTurnEnd() {
     obj.controller = newController;
   });
 }
+
+/**
+ * Counts the objectives currently controlled by a side.
+ * @param {string} side - 'attackers' or 'defenders'.
+ * @returns {number} Number of objectives held.
+ */
+function countObjectivesHeld(side) {
+  return objectives.filter((o) => o.controller === side).length;
+}
+
+/**
+ * Returns the side whose units have all been removed from the table, if any.
+ * A side with units still in Ambush reserve or in a transport is not wiped out.
+ * @returns {string|null} 'attackers', 'defenders', 'both' or null.
+ */
+function getWipedOutSide() {
+  const attackersGone =
+    getUnitsInPlay("attackers").length === 0 &&
+    reserveUnits.attackers.length === 0;
+  const defendersGone =
+    getUnitsInPlay("defenders").length === 0 &&
+    reserveUnits.defenders.length === 0;
+  if (attackersGone && defendersGone) return "both";
+  if (attackersGone) return "attackers";
+  if (defendersGone) return "defenders";
+  return null;
+}
+
+/**
+ * Works out the winner at game end. Objectives held decide the game; ties are
+ * broken by enemy points destroyed, then by units remaining. A wiped-out side
+ * always loses.
+ * @param {'roundLimit' | 'wipeout'} reason - Why the game ended.
+ * @returns {Object} { winner, reason, decidedBy, round, tieBreakers, stats }.
+ */
+function determineGameResult(reason) {
+  const stats = {};
+  ["attackers", "defenders"].forEach((side) => {
+    const opponent = side === "attackers" ? "defenders" : "attackers";
+    stats[side] = {
+      objectivesHeld: countObjectivesHeld(side),
+      pointsDestroyed: calculateDestroyedPoints(opponent),
+      unitsRemaining: getUnitsInPlay(side).length,
+    };
+  });
+  const tieBreakers = [
+    { key: "objectivesHeld", label: "Objectives held" },
+    { key: "pointsDestroyed", label: "Enemy points destroyed" },
+    { key: "unitsRemaining", label: "Units remaining" },
+  ];
+
+  let winner = "draw";
+  let decidedBy = null;
+  const wipedOutSide = getWipedOutSide();
+  if (reason === "wipeout" && wipedOutSide) {
+    decidedBy = "wipeout";
+    if (wipedOutSide !== "both")
+      winner = wipedOutSide === "attackers" ? "defenders" : "attackers";
+  } else {
+    for (const { key } of tieBreakers) {
+      const diff = stats.attackers[key] - stats.defenders[key];
+      if (diff !== 0) {
+        winner = diff > 0 ? "attackers" : "defenders";
+        decidedBy = key;
+        break;
+      }
+    }
+  }
+  return { winner, reason, decidedBy, round: currentRound, tieBreakers, stats };
+}
+
+/**
+ * Ends the game, records the result and notifies views.
+ * @param {'roundLimit' | 'wipeout'} reason - Why the game ended.
+ */
+function endGame(reason) {
+  if (isGameOver) return;
+  isGameOver = true;
+  gameResult = determineGameResult(reason);
+  const { winner, decidedBy, stats } = gameResult;
+  logGameMessage(
+    `=== GAME OVER (${
+      reason === "wipeout" ? "army wiped out" : `round limit ${maxRounds}`
+    }) ===`
+  );
+  logGameMessage(
+    `  Objectives held: attackers ${stats.attackers.objectivesHeld}, defenders ${stats.defenders.objectivesHeld}`
+  );
+  logGameMessage(
+    winner === "draw"
+      ? "  The game is a DRAW."
+      : `  ${winner} WIN (decided by ${decidedBy}).`
+  );
+  emitGameEvent("gameOver", { result: gameResult });
+  notifyStateChanged();
+}
+
+/**
+ * Returns the total points cost of a unit group, including joined sub-units.
+ * @param {Object} unitGroup - The parsed unit group ({ name, subUnits }).
+ * @returns {number} The summed points.
+ */
+function getUnitGroupPoints(unitGroup) {
+  return (unitGroup?.subUnits || []).reduce(
+    (sum, su) => sum + (su.points || 0),
+    0
+  );
+}
+
+/**
+ * Calculates how many points of a side's army are no longer in play
+ * (destroyed or routed units). Units still in Ambush reserve count as lost,
+ * as they do at the end of a game; units in transports do not.
+ * @param {string} side - 'attackers' or 'defenders'.
+ * @returns {number} Points lost by that side.
+ */
+function calculateDestroyedPoints(side) {
+  const armyUnits =
+    side === "attackers" ? currentAttackerUnits : currentDefenderUnits;
+  const armyPoints = Object.values(armyUnits).reduce(
+    (sum, group) => sum + getUnitGroupPoints(group),
+    0
+  );
+  const remainingPoints = getUnitsInPlay(side).reduce(
+    (sum, c) => sum + getUnitGroupPoints(c.unitGroupData),
+    0
+  );
+  return Math.max(0, armyPoints - remainingPoints);
+}
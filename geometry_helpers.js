@@ -42,6 +42,51 @@ function calculateDistancePointToSegment(point, segmentA, segmentB) {
   return Math.hypot(point.x - closestPointX, point.y - closestPointY);
 }
 
+// Rects are terrain features: { x, y, widthIn, heightIn } with x/y at the top-left corner.
+function isPointInRect(point, rect, paddingIn = 0) {
+  return (
+    point.x >= rect.x - paddingIn &&
+    point.x <= rect.x + rect.widthIn + paddingIn &&
+    point.y >= rect.y - paddingIn &&
+    point.y <= rect.y + rect.heightIn + paddingIn
+  );
+}
+
+// Returns the fraction (0-1) along the segment where it first touches the
+// rect grown by paddingIn, or null if it never does (slab clipping).
+function getSegmentRectEntryT(segmentA, segmentB, rect, paddingIn = 0) {
+  const dx = segmentB.x - segmentA.x,
+    dy = segmentB.y - segmentA.y;
+  let tMin = 0,
+    tMax = 1;
+  const slabs = [
+    [segmentA.x, dx, rect.x - paddingIn, rect.x + rect.widthIn + paddingIn],
+    [segmentA.y, dy, rect.y - paddingIn, rect.y + rect.heightIn + paddingIn],
+  ];
+  for (const [start, delta, low, high] of slabs) {
+    if (Math.abs(delta) < 1e-9) {
+      if (start < low || start > high) return null;
+      continue;
+    }
+    let t1 = (low - start) / delta,
+      t2 = (high - start) / delta;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return null;
+  }
+  return tMin;
+}
+
+function doRectsOverlap(a, b) {
+  return (
+    a.x < b.x + b.widthIn &&
+    a.x + a.widthIn > b.x &&
+    a.y < b.y + b.heightIn &&
+    a.y + a.heightIn > b.y
+  );
+}
+
 function getQuadrantCenter(quadrantIndex) {
   const halfW = ZONE_W_IN / 2,
     halfH = ZONE_H_IN / 2;
@@ -87,14 +132,24 @@ function findValidPlacementInSection(
   for (let yAttempt = 0; yAttempt < 20; yAttempt++) {
     const testCy = yStart + yAttempt * yStep;
     for (let xAttempt = 0; xAttempt < 10; xAttempt++) {
-      const testCx = sectionXMin + sectionWidth * Math.random();
+      const testCx = sectionXMin + sectionWidth * randomFloat();
       if (testCx < sectionXMin + halfW || testCx > sectionXMax - halfW)
         continue;
       tempUnit.cxIn = testCx;
       tempUnit.cyIn = testCy;
-      let collision = Object.values(existingClusters)
-        .flat()
-        .some((ec) => areClustersColliding(tempUnit, ec, 0.5));
+      const footprint = {
+        x: testCx - halfW,
+        y: testCy - halfH,
+        widthIn: unitW,
+        heightIn: unitH,
+      };
+      let collision =
+        Object.values(existingClusters)
+          .flat()
+          .some((ec) => areClustersColliding(tempUnit, ec, 0.5)) ||
+        terrainFeatures.some(
+          (f) => f.properties.blocking && doRectsOverlap(footprint, f)
+        );
       if (!collision) {
         return {
           finalCxIn: testCx,
@@ -9,12 +9,17 @@ let playerWhoFinishedLastRoundFirst = null;
 let playerWhoStartedCurrentRound = "attackers";
 let currentActiveUnit = null;
 let cacheStale = true;
+let maxRounds = 4;
+let isGameOver = false;
+let gameResult = null;
 
 // ARMY DATA
 let currentAttackerUnits = {};
 let currentDefenderUnits = {};
 let unitsToDeploy = { attackers: [], defenders: [] };
 let scoutUnits = { attackers: [], defenders: [] };
+let reserveUnits = { attackers: [], defenders: [] }; // Ambush units not yet on the table.
+let embarkedUnits = { attackers: [], defenders: [] }; // Unit clusters riding in transports.
 let currentAttackerArmyName = "Attackers";
 let currentDefenderArmyName = "Defenders";
 let clusterCache = { attackers: [], defenders: [] };
@@ -33,8 +38,34 @@ let pxPerInch = 0;
 let unitTooltipElement = null;
 let currentlyHoveredUnitId = null;
 let roundMessageInfo = null;
+let replayOverlay = null;
+// True while an activation, round or batch started from the UI is running.
+let uiActionInProgress = false;
 const floatingTextStacks = {};
 
 // GAME ELEMENTS
 let objectives = [];
 let terrainFeatures = [];
+
+// Restores the per-game state above to its starting values. Parsed armies and
+// board/UI settings are kept, so a new game can be set up with the same lists.
+function resetGameState() {
+  currentTurn = "attackers";
+  currentRound = 1;
+  isDeploymentComplete = false;
+  playerWhoFinishedLastRoundFirst = null;
+  playerWhoStartedCurrentRound = "attackers";
+  currentActiveUnit = null;
+  isGameOver = false;
+  gameResult = null;
+  unitsToDeploy = { attackers: [], defenders: [] };
+  scoutUnits = { attackers: [], defenders: [] };
+  reserveUnits = { attackers: [], defenders: [] };
+  embarkedUnits = { attackers: [], defenders: [] };
+  clusterCache = { attackers: [], defenders: [] };
+  currentDeploymentPlayer = null;
+  attackerDeploymentEdge = null;
+  defenderDeploymentEdge = null;
+  objectives = [];
+  terrainFeatures = [];
+}
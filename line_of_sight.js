@@ -0,0 +1,128 @@
+// --- line_of_sight.js ---
+// Model-to-model line-of-sight checks against blocking terrain, and cover from
+// cover terrain.
+
+// Blocking features crossed by the sight line between two points. Terrain that
+// either end stands in does not block it.
+function getLineOfSightBlockers(fromPoint, toPoint) {
+  return terrainFeatures.filter(
+    (f) =>
+      f.properties.blocking &&
+      !isPointInRect(fromPoint, f) &&
+      !isPointInRect(toPoint, f) &&
+      getSegmentRectEntryT(fromPoint, toPoint, f) !== null
+  );
+}
+
+function hasLineOfSightBetweenPoints(fromPoint, toPoint) {
+  return getLineOfSightBlockers(fromPoint, toPoint).length === 0;
+}
+
+function canModelSeeTarget(model, targetCluster, rangeInches = Infinity) {
+  return targetCluster.models.some(
+    (targetModel) =>
+      Math.hypot(model.x - targetModel.x, model.y - targetModel.y) <=
+        rangeInches && hasLineOfSightBetweenPoints(model, targetModel)
+  );
+}
+
+// True if any model of the observing unit sees any target model within range.
+function isTargetVisibleInRange(
+  observingCluster,
+  targetCluster,
+  rangeInches = Infinity
+) {
+  if (!observingCluster?.models?.length || !targetCluster?.models?.length)
+    return false;
+  return observingCluster.models.some((model) =>
+    canModelSeeTarget(model, targetCluster, rangeInches)
+  );
+}
+
+function isPointInCoverTerrain(point) {
+  return terrainFeatures.some(
+    (f) => f.properties.cover && isPointInRect(point, f)
+  );
+}
+
+// A unit is in cover when the majority of its models stand in cover terrain.
+function isUnitInCoverTerrain(unitCluster) {
+  const models = unitCluster?.models || [];
+  const modelsInCover = models.filter(isPointInCoverTerrain).length;
+  return models.length > 0 && modelsInCover > models.length / 2;
+}
+
+// Recomputes unitCluster.isInCover; called whenever models change position.
+function updateUnitCover(unitCluster) {
+  if (unitCluster) unitCluster.isInCover = isUnitInCoverTerrain(unitCluster);
+}
+
+// Shooting models that see the target model within range.
+function getModelsSeeingModel(targetModel, shootingCluster, rangeInches) {
+  return shootingCluster.models.filter(
+    (model) =>
+      Math.hypot(model.x - targetModel.x, model.y - targetModel.y) <=
+        rangeInches && hasLineOfSightBetweenPoints(model, targetModel)
+  );
+}
+
+// True if the shooter sees the model within range, but every such sight line
+// crosses cover terrain the shooting model is not standing in.
+function isModelObscuredByCover(targetModel, shootingCluster, rangeInches) {
+  const seenBy = getModelsSeeingModel(
+    targetModel,
+    shootingCluster,
+    rangeInches
+  );
+  return (
+    seenBy.length > 0 &&
+    seenBy.every((model) =>
+      terrainFeatures.some(
+        (f) =>
+          f.properties.cover &&
+          !isPointInRect(model, f) &&
+          getSegmentRectEntryT(model, targetModel, f) !== null
+      )
+    )
+  );
+}
+
+// A target gets cover against a shooter when the majority of its models are in
+// cover terrain, or when the shooter sees the majority of the models it can see
+// within range only through it. Models it cannot see or reach do not count.
+function isTargetInCoverFrom(
+  shootingCluster,
+  targetCluster,
+  rangeInches = Infinity
+) {
+  if (!terrainFeatures.some((f) => f.properties.cover)) return false;
+  if (targetCluster?.isInCover) return true;
+  const models = targetCluster?.models || [];
+  if (!shootingCluster?.models?.length || models.length === 0) return false;
+  const seen = models.filter(
+    (m) => getModelsSeeingModel(m, shootingCluster, rangeInches).length > 0
+  );
+  const obscured = seen.filter((m) =>
+    isModelObscuredByCover(m, shootingCluster, rangeInches)
+  ).length;
+  return seen.length > 0 && obscured > seen.length / 2;
+}
+
+// Summary for the combat log: how many observing models see the target.
+function getLineOfSightResult(
+  observingCluster,
+  targetCluster,
+  rangeInches = Infinity
+) {
+  const models = observingCluster?.models || [];
+  const visibleModels = targetCluster?.models?.length
+    ? models.filter((model) =>
+        canModelSeeTarget(model, targetCluster, rangeInches)
+      ).length
+    : 0;
+  return {
+    visible: visibleModels > 0,
+    visibleModels,
+    totalModels: models.length,
+  };
+}
@@ -5,6 +5,10 @@
 // post-charge resolution.
 // --------------------------------------------------------------------------
 
+const ENGAGEMENT_RANGE_IN = 2;
+const PILE_IN_MOVE_IN = 3;
+const PILE_IN_ANGLES_DEG = [0, 30, -30, 60, -60];
+
 /**
  * Executes a full melee combat exchange between two units.
  * @param {Object} attackerCluster - The unit initiating the melee (the charger).
@@ -22,7 +26,7 @@ function aiExecuteMeleeAction(
     !attackerCluster.unitGroupData ||
     attackerCluster.unitGroupData.subUnits.length === 0
   ) {
-    appendToCombatLog(
+    logGameMessage(
       `${
         attackerCluster?.name || "Attacker"
       } cannot perform melee action (missing data).`
@@ -39,7 +43,7 @@ function aiExecuteMeleeAction(
   } else if (defenderCluster.unitGroupData.subUnits.length === 1) {
     defenderSubUnit = defenderCluster.unitGroupData.subUnits[0];
   } else {
-    appendToCombatLog(
+    logGameMessage(
       `Target ${defenderCluster.name} has no sub-units to be targeted in melee.`
     );
     return;
@@ -49,44 +53,80 @@ function aiExecuteMeleeAction(
     isMelee: true,
     isCharge: originalAction === "Charge",
     isHold: false,
+    battleDrills: getActiveEffects(attackerCluster).some(
+      (effect) => effect.furiousOnCharge
+    ),
   };
 
-  let defenderSubUnitForSaveRolls = defenderSubUnit;
-  const heroInDefender = defenderCluster.subUnitStates.find(
-    (sus) => sus.isHeroSubUnit && sus.currentModelsInSubUnit > 0
-  );
-  const otherModelsInDefender = defenderCluster.subUnitStates.some(
-    (sus) => !sus.isHeroSubUnit && sus.currentModelsInSubUnit > 0
-  );
-
-  if (heroInDefender && otherModelsInDefender) {
-    const firstNonHeroSubUnitState = defenderCluster.subUnitStates.find(
-      (sus) => !sus.isHeroSubUnit && sus.currentModelsInSubUnit > 0
-    );
-    if (firstNonHeroSubUnitState) {
-      defenderSubUnitForSaveRolls =
-        firstNonHeroSubUnitState.originalSubUnitData;
-    }
-  }
+  // Each hit is saved by the model it will be allocated to.
+  const defenderAllocation = createWoundAllocationCursor(defenderCluster);
+  const strikeContext = { ...actionContext, allocation: defenderAllocation };
+  const getDefenderSaveSubUnit = () =>
+    getAllocatedCursorEntry(defenderAllocation)?.state.originalSubUnitData ||
+    defenderSubUnit;
 
   const activationAttackLogs = [];
   let weaponsFiredCount = 0;
   let totalDamageAppliedToDefenderCluster = 0;
+  const defenderWoundPackets = [];
 
-  // Attacker Strikes
   const isChargerFatigued =
     attackerCluster.hasFoughtInMeleeThisRound || attackerCluster.shaken;
 
+  // Only models within 2" of the enemy after piling in strike.
+  const attackerEngagement = engageForMelee(attackerCluster, defenderCluster);
+  activationAttackLogs.push(attackerEngagement.log);
+
+  // Impact Hits
+  if (actionContext.isCharge && !isChargerFatigued) {
+    const impactLogs = [];
+    attackerCluster.subUnitStates.forEach((sus) => {
+      const impact = sus.originalSubUnitData.special?.impact;
+      const engagedModels = attackerEngagement.bySubUnit.get(sus.id) || 0;
+      if (!impact || engagedModels <= 0) return;
+      weaponsFiredCount++;
+      const impactResult = gameRollAttackSequence(
+        sus.originalSubUnitData,
+        getImpactWeapon(impact, engagedModels),
+        getDefenderSaveSubUnit(),
+        defenderCluster.name,
+        defenderCluster.currentModels,
+        { isMelee: true, isImpact: true, allocation: defenderAllocation },
+        false,
+        false,
+        attackerCluster.unitGroupData
+      );
+      impactLogs.push(...impactResult.log);
+      impactResult.events.forEach((event) =>
+        emitCombatEvent({
+          ...event,
+          attackerId: attackerCluster.id,
+          targetId: defenderCluster.id,
+        })
+      );
+      totalDamageAppliedToDefenderCluster += impactResult.totalDamageInflicted;
+      defenderWoundPackets.push(...impactResult.woundPackets);
+    });
+    if (impactLogs.length > 0)
+      activationAttackLogs.push(
+        `--- Impact hits on ${defenderCluster.name} ---`,
+        ...impactLogs
+      );
+  }
+
+  // Attacker Strikes
   attackerCluster.unitGroupData.subUnits.forEach((currentAttackingSubUnit) => {
     const subUnitState = attackerCluster.subUnitStates.find(
       (s) =>
         s.originalSubUnitData.name === currentAttackingSubUnit.name &&
         s.id.startsWith(attackerCluster.id)
     );
-    const weaponsToUse =
-      subUnitState && subUnitState.effectiveWeapons
-        ? subUnitState.effectiveWeapons
-        : currentAttackingSubUnit.weapons;
+    const weaponsToUse = subUnitState
+      ? getEngagedMeleeWeapons(
+          subUnitState,
+          attackerEngagement.bySubUnit.get(subUnitState.id) || 0
+        )
+      : currentAttackingSubUnit.weapons;
 
     (weaponsToUse || []).forEach((weapon) => {
       if (weapon.range === 0) {
@@ -94,17 +134,25 @@ function aiExecuteMeleeAction(
         const attackResult = gameRollAttackSequence(
           currentAttackingSubUnit,
           weapon,
-          defenderSubUnitForSaveRolls,
+          getDefenderSaveSubUnit(),
           defenderCluster.name,
           defenderCluster.currentModels,
-          actionContext,
+          strikeContext,
           false,
           isChargerFatigued,
           attackerCluster.unitGroupData
         );
         activationAttackLogs.push(...attackResult.log);
+        attackResult.events.forEach((event) =>
+          emitCombatEvent({
+            ...event,
+            attackerId: attackerCluster.id,
+            targetId: defenderCluster.id,
+          })
+        );
         totalDamageAppliedToDefenderCluster +=
           attackResult.totalDamageInflicted;
+        defenderWoundPackets.push(...attackResult.woundPackets);
       }
     });
   });
@@ -113,113 +161,129 @@ function aiExecuteMeleeAction(
     attackerCluster.hasFoughtInMeleeThisRound = true;
     let finalMessage = `${attackerCluster.name} attacks ${defenderCluster.name} in melee (Action: ${originalAction}):\n`;
     finalMessage += activationAttackLogs.join("\n");
-    appendToCombatLog(finalMessage);
+    logGameMessage(finalMessage);
 
     if (totalDamageAppliedToDefenderCluster > 0) {
       const woundApplicationResult = applyWoundsToCluster(
         defenderCluster,
-        totalDamageAppliedToDefenderCluster
+        defenderWoundPackets
       );
       if (woundApplicationResult.modelsKilledCount > 0) {
-        appendToCombatLog(
+        logGameMessage(
           `  ${defenderCluster.name} lost ${woundApplicationResult.modelsKilledCount} models.`
         );
       }
       const summaryWoundMessage = `${defenderCluster.name} now has ${defenderCluster.currentModels}/${defenderCluster.totalModels} models remaining.`;
-      showFloatingText(defenderCluster, summaryWoundMessage);
-      appendToCombatLog(summaryWoundMessage);
+      announceUnitMessage(defenderCluster, summaryWoundMessage);
+      logGameMessage(summaryWoundMessage);
 
       if (defenderCluster.currentModels <= 0) {
-        showFloatingText(
+        announceUnitMessage(
           defenderCluster,
           `${defenderCluster.name} DESTROYED in melee!`
         );
-        appendToCombatLog(`${defenderCluster.name} DESTROYED in melee!`);
-        const enemySide =
-          currentTurn === "attackers" ? "defenders" : "attackers";
-        clusterCache[enemySide] = clusterCache[enemySide].filter(
-          (c) => c.id !== defenderCluster.id
-        );
+        logGameMessage(`${defenderCluster.name} DESTROYED in melee!`);
+        removeUnitFromTable(defenderCluster);
       }
     } else {
-      appendToCombatLog(`  No damage inflicted on ${defenderCluster.name}.`);
+      logGameMessage(`  No damage inflicted on ${defenderCluster.name}.`);
     }
 
     // Defender Strikes Back
     let totalDamageAppliedToAttackerCluster = 0;
     if (defenderCluster.currentModels > 0) {
-      appendToCombatLog(`--- ${defenderCluster.name} strikes back! ---`);
+      logGameMessage(`--- ${defenderCluster.name} strikes back! ---`);
       const returnStrikeActivationLogs = [];
       let returnStrikeWeaponsFired = 0;
 
-      let originalAttackerSubUnitForSaveRolls =
-        attackerCluster.unitGroupData.subUnits[0];
+      const attackerAllocation = createWoundAllocationCursor(attackerCluster);
+      const returnWoundPackets = [];
       const isDefenderFatigued =
         defenderCluster.hasFoughtInMeleeThisRound || defenderCluster.shaken;
       defenderCluster.hasFoughtInMeleeThisRound = true;
+      const defenderEngagement = engageForMelee(
+        defenderCluster,
+        attackerCluster
+      );
+      returnStrikeActivationLogs.push(defenderEngagement.log);
 
       defenderCluster.subUnitStates.forEach((sus) => {
         if (sus.currentModelsInSubUnit > 0) {
           const currentDefendingSubUnit = sus.originalSubUnitData;
-          const weaponsToUse =
-            sus.effectiveWeapons || currentDefendingSubUnit.weapons;
+          const weaponsToUse = getEngagedMeleeWeapons(
+            sus,
+            defenderEngagement.bySubUnit.get(sus.id) || 0
+          );
           (weaponsToUse || []).forEach((weapon) => {
             if (weapon.range === 0) {
               returnStrikeWeaponsFired++;
               const returnAttackResult = gameRollAttackSequence(
                 currentDefendingSubUnit,
                 weapon,
-                originalAttackerSubUnitForSaveRolls,
+                getAllocatedCursorEntry(attackerAllocation)?.state
+                  .originalSubUnitData ||
+                  attackerCluster.unitGroupData.subUnits[0],
                 attackerCluster.name,
                 attackerCluster.currentModels,
-                { isMelee: true, isCharge: false, isHold: false },
+                {
+                  isMelee: true,
+                  isCharge: false,
+                  isHold: false,
+                  allocation: attackerAllocation,
+                },
                 false,
                 isDefenderFatigued,
                 defenderCluster.unitGroupData
               );
               returnStrikeActivationLogs.push(...returnAttackResult.log);
+              returnAttackResult.events.forEach((event) =>
+                emitCombatEvent({
+                  ...event,
+                  attackerId: defenderCluster.id,
+                  targetId: attackerCluster.id,
+                })
+              );
               totalDamageAppliedToAttackerCluster +=
                 returnAttackResult.totalDamageInflicted;
+              returnWoundPackets.push(...returnAttackResult.woundPackets);
             }
           });
         }
       });
 
       if (returnStrikeWeaponsFired > 0) {
-        appendToCombatLog(returnStrikeActivationLogs.join("\n"));
+        logGameMessage(returnStrikeActivationLogs.join("\n"));
         if (totalDamageAppliedToAttackerCluster > 0) {
           const returnWoundApplication = applyWoundsToCluster(
             attackerCluster,
-            totalDamageAppliedToAttackerCluster
+            returnWoundPackets
           );
           if (returnWoundApplication.modelsKilledCount > 0) {
-            appendToCombatLog(
+            logGameMessage(
               `  ${attackerCluster.name} lost ${returnWoundApplication.modelsKilledCount} models in return strike.`
             );
           }
           const returnStrikeSummaryMsg = `${attackerCluster.name} now has ${attackerCluster.currentModels}/${attackerCluster.totalModels} models remaining after return strike.`;
-          showFloatingText(attackerCluster, returnStrikeSummaryMsg);
-          appendToCombatLog(returnStrikeSummaryMsg);
+          announceUnitMessage(attackerCluster, returnStrikeSummaryMsg);
+          logGameMessage(returnStrikeSummaryMsg);
 
           if (attackerCluster.currentModels <= 0) {
-            showFloatingText(
+            announceUnitMessage(
               attackerCluster,
               `${attackerCluster.name} DESTROYED by return strike!`
             );
-            appendToCombatLog(
+            logGameMessage(
               `${attackerCluster.name} DESTROYED by return strike!`
             );
-            const chargerSide =
-              currentTurn === "attackers" ? "attackers" : "defenders";
-            clusterCache[chargerSide] = clusterCache[chargerSide].filter(
-              (c) => c.id !== attackerCluster.id
-            );
+            removeUnitFromTable(attackerCluster);
           }
         } else {
-          appendToCombatLog(
+          logGameMessage(
             `  No damage inflicted on ${attackerCluster.name} by return strike.`
           );
         }
+      } else {
+        logGameMessage(defenderEngagement.log);
       }
     }
 
@@ -252,26 +316,63 @@ function aiExecuteMeleeAction(
       const defenderModifiedDamage =
         totalDamageAppliedToAttackerCluster + defenderFearBonus;
 
-      appendToCombatLog(`--- Melee Combat Resolution ---`);
+      logGameMessage(`--- Melee Combat Resolution ---`);
       if (attackerModifiedDamage > defenderModifiedDamage) {
-        appendToCombatLog(`  ${attackerCluster.name} wins the melee!`);
+        logGameMessage(`  ${attackerCluster.name} wins the melee!`);
         performMoraleTest(defenderCluster, "for losing the melee combat", true);
       } else if (defenderModifiedDamage > attackerModifiedDamage) {
-        appendToCombatLog(`  ${defenderCluster.name} wins the melee!`);
+        logGameMessage(`  ${defenderCluster.name} wins the melee!`);
         performMoraleTest(attackerCluster, "for losing the melee combat", true);
       } else {
-        appendToCombatLog(
+        logGameMessage(
           `  Melee is a tie. No morale tests from combat outcome.`
         );
       }
     }
   } else {
-    appendToCombatLog(
-      `${attackerCluster.name} has no melee weapons to use against ${defenderCluster.name}.`
+    logGameMessage(
+      attackerEngagement.total === 0
+        ? `${attackerCluster.name} has no models within ${ENGAGEMENT_RANGE_IN}" of ${defenderCluster.name} to fight with.`
+        : `${attackerCluster.name} has no melee weapons to use against ${defenderCluster.name}.`
     );
   }
 }
 
+/**
+ * Builds the weapon used to roll Impact(X) hits for a sub-unit: X dice per
+ * model, hitting on 2+ with no AP.
+ * @param {number} impact - The Impact rating.
+ * @param {number} models - Models left in the sub-unit.
+ * @returns {Object} A weapon object for gameRollAttackSequence.
+ */
+function getImpactWeapon(impact, models) {
+  return {
+    amount: models,
+    name: "Impact",
+    range: 0,
+    attacks: impact,
+    ap: 0,
+    special: {},
+  };
+}
+
+/**
+ * Sums the Impact dice a unit rolls when it charges.
+ * @param {Object} unitCluster - The unit cluster.
+ * @returns {number} Impact dice from all sub-units with models left.
+ */
+function getUnitImpactDice(unitCluster) {
+  return unitCluster.subUnitStates.reduce(
+    (sum, sus) =>
+      sum +
+      (sus.currentModelsInSubUnit > 0
+        ? (sus.originalSubUnitData.special?.impact || 0) *
+          sus.currentModelsInSubUnit
+        : 0),
+    0
+  );
+}
+
 /**
  * Handles post-charge separation: the charged unit moves back 1".
  * @param {Object} chargerCluster - The unit that performed the charge.
@@ -287,13 +388,147 @@ function resolvePostChargeSeparation(chargerCluster, chargedTargetCluster) {
     const pushBackDirX = dx / dist;
     const pushBackDirY = dy / dist;
 
-    chargedTargetCluster.cxIn += pushBackDirX * 1.0;
-    chargedTargetCluster.cyIn += pushBackDirY * 1.0;
-    chargedTargetCluster.originXIn += pushBackDirX * 1.0;
-    chargedTargetCluster.originYIn += pushBackDirY * 1.0;
-    showFloatingText(
+    translateUnitCluster(
+      chargedTargetCluster,
+      pushBackDirX * 1.0,
+      pushBackDirY * 1.0
+    );
+    announceUnitMessage(
       chargedTargetCluster,
       `${chargedTargetCluster.name} pushed back 1" after charge.`
     );
   }
 }
+
+/**
+ * Whether a model is within engagement range (base contact or 2") of any
+ * model of the enemy unit.
+ * @param {{x: number, y: number}} model - The model.
+ * @param {Object} enemyCluster - The enemy unit.
+ * @returns {boolean} True if the model is engaged.
+ */
+function isModelEngaged(model, enemyCluster) {
+  return enemyCluster.models.some(
+    (enemyModel) =>
+      distance(model, enemyModel) - DIA_IN <= ENGAGEMENT_RANGE_IN + 1e-6
+  );
+}
+
+/**
+ * Moves every model of a unit that is not yet engaged up to 3" towards the
+ * nearest enemy model, stopping at base contact, never overlapping another
+ * model or entering blocking terrain (unless Flying) and never leaving the
+ * unit out of coherency.
+ * @param {Object} unitCluster - The unit piling in.
+ * @param {Object} enemyCluster - The unit it fights.
+ * @returns {number} How many models moved.
+ */
+function pileIn(unitCluster, enemyCluster) {
+  let movedCount = 0;
+  const ignoresTerrain = clusterHasSpecialRule(unitCluster, "flying");
+  unitCluster.models.forEach((model) => {
+    if (isModelEngaged(model, enemyCluster)) return;
+    const nearest = enemyCluster.models.reduce((best, m) =>
+      distance(model, m) < distance(model, best) ? m : best
+    );
+    const gap = distance(model, nearest);
+    let step = Math.min(PILE_IN_MOVE_IN, gap - DIA_IN);
+    const others = [
+      ...unitCluster.models.filter((m) => m !== model),
+      ...enemyCluster.models,
+    ];
+    // Straight at the enemy if there is room, else around the models in the way.
+    const heading = Math.atan2(nearest.y - model.y, nearest.x - model.x);
+    const wasCoherent = areModelsCoherent(unitCluster.models);
+    for (; step > 0.1; step /= 2) {
+      for (const offset of PILE_IN_ANGLES_DEG) {
+        const angle = heading + (offset * Math.PI) / 180;
+        const next = {
+          x: model.x + Math.cos(angle) * step,
+          y: model.y + Math.sin(angle) * step,
+        };
+        if (
+          distance(next, nearest) < gap &&
+          others.every((m) => distance(next, m) >= DIA_IN - 1e-6) &&
+          (ignoresTerrain || isModelMoveClearOfBlockingTerrain(model, next)) &&
+          (!wasCoherent ||
+            areModelsCoherent(
+              unitCluster.models.map((m) => (m === model ? next : m))
+            ))
+        ) {
+          model.x = next.x;
+          model.y = next.y;
+          movedCount++;
+          return;
+        }
+      }
+    }
+  });
+  if (movedCount > 0) {
+    updateUnitCover(unitCluster);
+    emitGameEvent("unitChanged", { unit: unitCluster });
+  }
+  return movedCount;
+}
+
+/**
+ * Piles a unit in and counts its engaged models per sub-unit.
+ * @param {Object} unitCluster - The unit about to strike.
+ * @param {Object} enemyCluster - The unit it fights.
+ * @returns {{bySubUnit: Map<string, number>, total: number, log: string}}
+ *   Engaged models per sub-unit state id, their total and a log line.
+ */
+function engageForMelee(unitCluster, enemyCluster) {
+  const moved = pileIn(unitCluster, enemyCluster);
+  const bySubUnit = new Map();
+  const modelStates = getModelSubUnitStates(unitCluster);
+  unitCluster.models.forEach((model, index) => {
+    const sus = modelStates[index];
+    if (sus && isModelEngaged(model, enemyCluster))
+      bySubUnit.set(sus.id, (bySubUnit.get(sus.id) || 0) + 1);
+  });
+  const total = [...bySubUnit.values()].reduce((sum, n) => sum + n, 0);
+  emitCombatEvent({
+    type: "engagement",
+    unitId: unitCluster.id,
+    targetId: enemyCluster.id,
+    engagedModels: total,
+    models: unitCluster.currentModels,
+    piledIn: moved,
+  });
+  return {
+    bySubUnit,
+    total,
+    log: `  ${unitCluster.name}: ${total}/${
+      unitCluster.currentModels
+    } models engaged${moved > 0 ? ` (${moved} piled in)` : ""}.`,
+  };
+}
+
+/**
+ * The melee weapons carried by the engaged models of a sub-unit: all of its
+ * effective weapons when every model is engaged, otherwise the best loadouts
+ * for that many models.
+ * @param {Object} subUnitState - The sub-unit state.
+ * @param {number} engagedCount - Engaged models of the sub-unit.
+ * @returns {Object[]} Weapons that strike.
+ */
+function getEngagedMeleeWeapons(subUnitState, engagedCount) {
+  const weapons = (subUnitState.effectiveWeapons || []).filter(
+    (w) => w.range === 0
+  );
+  if (engagedCount >= subUnitState.currentModelsInSubUnit) return weapons;
+  if (engagedCount <= 0) return [];
+  const engagedLoadout = getUpdatedWeaponLoadoutForSubUnit({
+    ...subUnitState,
+    currentModelsInSubUnit: engagedCount,
+  });
+  return weapons
+    .map((w) => {
+      const carried = engagedLoadout
+        .filter((e) => e.name === w.name && e.range === 0)
+        .reduce((sum, e) => sum + e.amount, 0);
+      return { ...w, amount: Math.min(w.amount, carried) };
+    })
+    .filter((w) => w.amount > 0);
+}
@@ -2,33 +2,47 @@
 // Handles the parsing of armybook text into structured unit data.
 
 const SPECIAL_RULE_DEFINITIONS = {
-  Hero: { key: "hero", type: "boolean" },
-  Relentless: { key: "relentless", type: "boolean" },
-  "Medical Training": { key: "medicalTraining", type: "boolean" },
-  "Shield Wall": { key: "shieldWall", type: "boolean" },
-  "Combat Shield": { key: "shieldWall", type: "boolean" },
-  "Good Shot": { key: "goodShot", type: "boolean" },
-  Fast: { key: "fast", type: "boolean" },
-  Robot: { key: "robot", type: "boolean" },
-  Scout: { key: "scout", type: "boolean" },
-  Strider: { key: "strider", type: "boolean" },
-  Fearless: { key: "fearless", type: "boolean" },
-  "Self-Repair": { key: "selfRepair", type: "boolean" },
-  Ambush: { key: "ambush", type: "boolean" },
-  "Company Standard": { key: "companyStandard", type: "boolean" },
-  "Take Aim": { key: "takeAim", type: "boolean" },
-  "Hold the Line": { key: "holdTheLine", type: "boolean" },
-  Stealth: { key: "stealth", type: "boolean" },
-  Flying: { key: "flying", type: "boolean" },
-  "Precision Shots": { key: "precisionShots", type: "boolean" },
-  Tough: { key: "tough", type: "numeric" },
-  Deadly: { key: "deadly", type: "numeric" },
-  Fear: { key: "fear", type: "numeric" },
-  Impact: { key: "impact", type: "numeric" },
-  Caster: { key: "caster", type: "numeric" },
-  Transport: { key: "transport", type: "numeric" },
+  Hero: { key: "hero", type: "boolean", implemented: true },
+  Relentless: { key: "relentless", type: "boolean", implemented: true },
+  "Medical Training": {
+    key: "medicalTraining",
+    type: "boolean",
+    implemented: true,
+  },
+  "Shield Wall": { key: "shieldWall", type: "boolean", implemented: true },
+  "Combat Shield": { key: "shieldWall", type: "boolean", implemented: true },
+  "Good Shot": { key: "goodShot", type: "boolean", implemented: true },
+  Fast: { key: "fast", type: "boolean", implemented: true },
+  Slow: { key: "slow", type: "boolean", implemented: true },
+  Robot: { key: "robot", type: "boolean", implemented: true },
+  Scout: { key: "scout", type: "boolean", implemented: true },
+  Strider: { key: "strider", type: "boolean", implemented: true },
+  Fearless: { key: "fearless", type: "boolean", implemented: true },
+  "Self-Repair": { key: "selfRepair", type: "boolean", implemented: true },
+  Ambush: { key: "ambush", type: "boolean", implemented: true },
+  "Company Standard": {
+    key: "companyStandard",
+    type: "boolean",
+    implemented: true,
+  },
+  "Take Aim": { key: "takeAim", type: "boolean", implemented: true },
+  "Hold the Line": { key: "holdTheLine", type: "boolean", implemented: true },
+  Stealth: { key: "stealth", type: "boolean", implemented: true },
+  Flying: { key: "flying", type: "boolean", implemented: true },
+  "Precision Shots": {
+    key: "precisionShots",
+    type: "boolean",
+    implemented: true,
+  },
+  Tough: { key: "tough", type: "numeric", implemented: true },
+  Deadly: { key: "deadly", type: "numeric", implemented: false },
+  Fear: { key: "fear", type: "numeric", implemented: true },
+  Impact: { key: "impact", type: "numeric", implemented: true },
+  Caster: { key: "caster", type: "numeric", implemented: true },
+  Transport: { key: "transport", type: "numeric", implemented: true },
   Furious: {
     type: "custom",
+    implemented: true,
     handler: (special) => {
       special.furious = true;
       special.furiousOriginal = true;
@@ -36,6 +50,7 @@ const SPECIAL_RULE_DEFINITIONS = {
   },
   "Battle Drills": {
     type: "custom",
+    implemented: true,
     handler: (special) => {
       special.battleDrills = true;
       if (!special.furious) {
@@ -50,42 +65,71 @@ const WEAPON_TAG_DEFINITIONS = {
   furious: {
     text: "Furious",
     condition: (w, su) => w.range === 0 && su?.special?.furious,
+    implemented: true,
   },
   relentless: {
     text: "Relentless",
     condition: (w, su) => w.range > 0 && su?.special?.relentless,
+    implemented: true,
   },
   goodShot: {
     text: "Good Shot",
     condition: (w, su) => w.range > 0 && su?.special?.goodShot,
+    implemented: true,
   },
   precisionShots: {
     text: "Precision",
     condition: (w, su) => w.range > 0 && su?.special?.precisionShots,
+    implemented: true,
+  },
+  rending: {
+    text: "Rending",
+    condition: (w) => !!w.special?.rending,
+    implemented: true,
+  },
+  reliable: {
+    text: "Reliable",
+    condition: (w) => !!w.special?.reliable,
+    implemented: true,
+  },
+  flux: {
+    text: "Flux",
+    condition: (w) => !!w.special?.flux,
+    implemented: true,
+  },
+  sniper: {
+    text: "Sniper",
+    condition: (w) => !!w.special?.sniper,
+    implemented: true,
+  },
+  limited: {
+    text: "Limited",
+    condition: (w) => !!w.special?.limited,
+    implemented: true,
   },
-  rending: { text: "Rending", condition: (w) => !!w.special?.rending },
-  reliable: { text: "Reliable", condition: (w) => !!w.special?.reliable },
-  flux: { text: "Flux", condition: (w) => !!w.special?.flux },
-  sniper: { text: "Sniper", condition: (w) => !!w.special?.sniper },
-  limited: { text: "Limited", condition: (w) => !!w.special?.limited },
   blast: {
     text: (w) => `Blast(${w.special.blast})`,
     condition: (w) => !!w.special?.blast,
+    implemented: true,
   },
   deadly: {
     text: (w) => `Deadly(${w.special.deadly})`,
     condition: (w) => !!w.special?.deadly,
+    implemented: true,
   },
 };
 
-function parseWeapons(equipLine) {
+function parseWeapons(equipLine, reportIssue = () => {}) {
   if (!equipLine || !equipLine.trim()) return [];
   return splitTopLevel(equipLine, ",")
     .map((s) => s.trim())
-    .filter((s) => /\w+\s*\(.*\)/.test(s))
+    .filter(Boolean)
     .map((spec) => {
       const m = spec.match(/^(?:(\d+)x\s*)?([^(]+?)\s*\((.+)\)$/);
-      if (!m) return null;
+      if (!m) {
+        reportIssue(`Unknown weapon token "${spec}" was ignored.`);
+        return null;
+      }
       const [, amountStr, name, inner] = m;
       const amount = amountStr ? parseInt(amountStr, 10) : 1;
       const parts = splitTopLevel(inner, ",").map((p) => p.trim());
@@ -104,6 +148,10 @@ function parseWeapons(equipLine) {
             flags[ruleMatch[1].trim().toLowerCase()] = ruleMatch[2]
               ? parseInt(ruleMatch[2], 10)
               : true;
+          else
+            reportIssue(
+              `Unknown token "${p}" in weapon ${name.trim()} was ignored.`
+            );
         }
       });
       return { amount, name: name.trim(), range, attacks, ap, special: flags };
@@ -120,36 +168,45 @@ function parseRule(ruleString, special) {
       else if (def.type === "numeric")
         special[def.key] = match[1] ? parseInt(match[1], 10) : true;
       else if (def.type === "custom") def.handler(special);
-      return true;
+      return ruleName;
     }
   }
-  return false;
+  return null;
 }
 
+// Returns the parsed specials plus the names of recognised rules and the raw
+// text of rules that match no definition, for the rule coverage report.
 function parseSpecialsAndKeywords(specItems) {
   const special = {},
-    keywords = [];
+    keywords = [],
+    rules = [],
+    unknownRules = [];
   specItems.forEach((item) => {
     item = item.trim();
+    if (!item) return;
     let matched = parseRule(item, special);
     if (!matched) {
-      const embeddedMatch = item.match(/.*\((.+)\)/);
-      if (embeddedMatch && parseRule(embeddedMatch[1].trim(), special))
-        matched = true;
+      // Item rules such as "1x Cargo Space(Transport(+6))" wrap the real rule.
+      const embeddedMatch = item.match(/^[^(]*\((.+)\)$/);
+      if (embeddedMatch) matched = parseRule(embeddedMatch[1].trim(), special);
+    }
+    if (matched) {
+      if (!rules.includes(matched)) rules.push(matched);
+    } else {
+      unknownRules.push(item);
+      if (!item.includes("(") && !item.includes(")")) keywords.push(item);
     }
-    if (!matched && !item.includes("(") && !item.includes(")"))
-      keywords.push(item);
   });
-  return { special, keywords };
+  return { special, keywords, rules, unknownRules };
 }
 
-function parseUnit(headerLine, equipLine) {
+function parseUnit(headerLine, equipLine, reportIssue) {
   const unitRegex =
     /^(.+?)\s*\[(\d+)\]\s*Q(\d+)\+\s*D(\d+)\+\s*\|\s*(\d+)pts\s*(?:\|\s*(.*))?$/i;
   const m = headerLine.match(unitRegex);
   if (!m) return null;
   const [, name, models, q, d, pts, specText = ""] = m;
-  const { special, keywords } = parseSpecialsAndKeywords(
+  const { special, keywords, rules, unknownRules } = parseSpecialsAndKeywords(
     specText ? splitTopLevel(specText, ",").map((s) => s.trim()) : []
   );
   return {
@@ -159,8 +216,10 @@ function parseUnit(headerLine, equipLine) {
     defense: +d,
     points: +pts,
     special,
-    weapons: parseWeapons(equipLine),
+    weapons: parseWeapons(equipLine, reportIssue),
     keywords,
+    rules,
+    unknownRules,
   };
 }
 
@@ -179,52 +238,120 @@ function getWeaponDisplayString(weapon, subUnit = null) {
   );
 }
 
+// Splits the text into blank-line separated blocks, keeping 1-based line numbers.
+function splitArmybookBlocks(rawText) {
+  const blocks = [];
+  let current = [];
+  rawText.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) {
+      if (current.length > 0) blocks.push(current);
+      current = [];
+    } else {
+      current.push({ text: line.trim(), lineNumber: index + 1 });
+    }
+  });
+  if (current.length > 0) blocks.push(current);
+  return blocks;
+}
+
+// Returns { units, armyName, diagnostics }. Each diagnostic is
+// { line, severity: "error" | "warning", message } with a 1-based line number.
 function parseArmybook(rawText) {
+  if (isArmyForgeJson(rawText)) return parseArmyForgeJson(rawText);
   const units = {};
+  const diagnostics = [];
+  const addDiagnostic = (line, severity, message) =>
+    diagnostics.push({ line, severity, message });
   let parsedArmyName = "Unnamed Army";
+  let headerPoints = null,
+    headerLineNumber = null;
   const armyNameRegex =
     /^\+\+\s*(.+?)\s*(?:\(v[\d.]+\))?(?:\s*\[\w+\s*\d*pts\])?\s*\+\+$/i;
-  const firstLine = rawText.split(/\r?\n/).find((line) => line.trim());
+  const unitHeaderRegex =
+    /^(.+?)\s*\[(\d+)\]\s*Q(\d+)\+\s*D(\d+)\+\s*\|\s*(\d+)pts/i;
+  const joinedToRegex = /^\|\s*Joined to:/i;
+  const blocks = splitArmybookBlocks(rawText);
+  const firstLine = blocks[0]?.[0];
   if (firstLine) {
-    const nameMatch = firstLine.trim().match(armyNameRegex);
-    if (nameMatch) parsedArmyName = nameMatch[1].trim();
+    const nameMatch = firstLine.text.match(armyNameRegex);
+    if (nameMatch) {
+      parsedArmyName = nameMatch[1].trim();
+      const pointsMatch = firstLine.text.match(/\[\s*\w+\s*(\d+)\s*pts\]/i);
+      if (pointsMatch) {
+        headerPoints = parseInt(pointsMatch[1], 10);
+        headerLineNumber = firstLine.lineNumber;
+      }
+    }
   }
-  const blocks = rawText
-    .split(/\r?\n\s*\r?\n/)
-    .map((b) => b.trim())
-    .filter(Boolean);
-  blocks.forEach((block) => {
-    const lines = block
-      .split(/\r?\n/)
-      .map((l) => l.trim())
-      .filter(Boolean);
-    if (lines.length === 0) return;
-    const unitHeaderRegex =
-      /^(.+?)\s*\[(\d+)\]\s*Q(\d+)\+\s*D(\d+)\+\s*\|\s*(\d+)pts/i;
-    if (!unitHeaderRegex.test(lines[0])) return;
-    const primaryUnit = parseUnit(
-      lines[0],
-      lines[1] && /\(.*\)/.test(lines[1]) ? lines[1] : ""
-    );
+
+  blocks.forEach((lines) => {
+    if (lines[0] === firstLine && armyNameRegex.test(firstLine.text)) {
+      lines = lines.slice(1);
+      if (lines.length === 0) return;
+    }
+    if (!unitHeaderRegex.test(lines[0].text)) {
+      addDiagnostic(
+        lines[0].lineNumber,
+        "error",
+        `Unparsed block: "${lines[0].text}" is not a unit header (expected "Name [models] Q4+ D4+ | 100pts | rules"). The block was skipped.`
+      );
+      return;
+    }
+    const consumed = new Set();
+    // Parses the unit whose header is at lines[index], with its weapon line if present.
+    const parseUnitAt = (index) => {
+      const header = lines[index];
+      const equip =
+        lines[index + 1] && /\(.*\)/.test(lines[index + 1].text)
+          ? lines[index + 1]
+          : null;
+      consumed.add(index);
+      if (equip) consumed.add(index + 1);
+      const unit = parseUnit(header.text, equip ? equip.text : "", (message) =>
+        addDiagnostic((equip || header).lineNumber, "warning", message)
+      );
+      if (!unit)
+        addDiagnostic(
+          header.lineNumber,
+          "error",
+          `Unit header "${header.text}" could not be parsed. The unit was skipped.`
+        );
+      else if (!equip)
+        addDiagnostic(
+          header.lineNumber,
+          "warning",
+          `${unit.name} has no weapon line.`
+        );
+      return unit;
+    };
+    const primaryUnit = parseUnitAt(0);
     if (!primaryUnit) return;
     const group = { name: primaryUnit.name, subUnits: [primaryUnit] };
-    const joinIdx = lines.findIndex((l) => /^\|\s*Joined to:/i.test(l));
-    if (
-      joinIdx > -1 &&
-      lines[joinIdx + 1] &&
-      unitHeaderRegex.test(lines[joinIdx + 1])
-    ) {
-      const secondaryUnit = parseUnit(
-        lines[joinIdx + 1],
-        lines[joinIdx + 2] && /\(.*\)/.test(lines[joinIdx + 2])
-          ? lines[joinIdx + 2]
-          : ""
-      );
-      if (secondaryUnit) {
-        group.subUnits.push(secondaryUnit);
-        group.name = `${primaryUnit.name} + ${secondaryUnit.name}`;
+    const joinIdx = lines.findIndex((l) => joinedToRegex.test(l.text));
+    if (joinIdx > -1) {
+      consumed.add(joinIdx);
+      if (lines[joinIdx + 1] && unitHeaderRegex.test(lines[joinIdx + 1].text)) {
+        const secondaryUnit = parseUnitAt(joinIdx + 1);
+        if (secondaryUnit) {
+          group.subUnits.push(secondaryUnit);
+          group.name = `${primaryUnit.name} + ${secondaryUnit.name}`;
+        }
+      } else {
+        addDiagnostic(
+          lines[joinIdx].lineNumber,
+          "error",
+          `Malformed "Joined to": the next line must be the header of the unit ${primaryUnit.name} joins. ${primaryUnit.name} was added on its own.`
+        );
       }
     }
+    lines.forEach((line, index) => {
+      if (!consumed.has(index))
+        addDiagnostic(
+          line.lineNumber,
+          "warning",
+          `Line not recognised and ignored: "${line.text}"`
+        );
+    });
     let finalGroupName = group.name,
       counter = 1;
     while (units[finalGroupName])
@@ -232,5 +359,76 @@ function parseArmybook(rawText) {
     group.name = finalGroupName;
     units[finalGroupName] = group;
   });
-  return { units, armyName: parsedArmyName };
+
+  if (headerPoints !== null) {
+    const parsedPoints = Object.values(units).reduce(
+      (sum, group) => sum + getUnitGroupPoints(group),
+      0
+    );
+    if (parsedPoints !== headerPoints)
+      addDiagnostic(
+        headerLineNumber,
+        "warning",
+        `Points mismatch: the header total is ${headerPoints}pts but the parsed units add up to ${parsedPoints}pts.`
+      );
+  }
+  return { units, armyName: parsedArmyName, diagnostics };
+}
+
+// Lists every special rule and weapon tag used by a parsed army as
+// "implemented", "parsed-only" (recognised but without effect in the
+// simulation) or "unknown", together with the units that use it.
+function buildRuleCoverageReport(units) {
+  const entries = new Map();
+  const note = (name, kind, status, unitName) => {
+    const key = `${kind}|${name}`;
+    if (!entries.has(key))
+      entries.set(key, { name, kind, status, units: new Set() });
+    entries.get(key).units.add(unitName);
+  };
+  Object.values(units).forEach((group) => {
+    group.subUnits.forEach((su) => {
+      (su.rules || []).forEach((ruleName) =>
+        note(
+          ruleName,
+          "rule",
+          SPECIAL_RULE_DEFINITIONS[ruleName]?.implemented
+            ? "implemented"
+            : "parsed-only",
+          group.name
+        )
+      );
+      (su.unknownRules || []).forEach((ruleText) =>
+        note(ruleText, "rule", "unknown", group.name)
+      );
+      (su.weapons || []).forEach((weapon) => {
+        Object.keys(weapon.special || {}).forEach((tag) => {
+          const def = WEAPON_TAG_DEFINITIONS[tag];
+          const name = !def
+            ? tag
+            : typeof def.text === "function"
+            ? def.text(weapon).replace(/\(.*\)/, "")
+            : def.text;
+          note(
+            name,
+            "weapon",
+            !def ? "unknown" : def.implemented ? "implemented" : "parsed-only",
+            group.name
+          );
+        });
+      });
+    });
+  });
+  const report = { implemented: [], "parsed-only": [], unknown: [] };
+  entries.forEach((entry) =>
+    report[entry.status].push({
+      name: entry.name,
+      kind: entry.kind,
+      units: [...entry.units],
+    })
+  );
+  Object.values(report).forEach((list) =>
+    list.sort((a, b) => a.name.localeCompare(b.name))
+  );
+  return report;
 }
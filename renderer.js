@@ -1,6 +1,13 @@
 // --- renderer.js ---
 // Handles all canvas rendering logic, including units, terrain, and UI elements.
 
+const terrainColorMapping = {
+  dangerous: "rgba(204, 0, 0, 0.2)",
+  blocking: "rgba(85, 85, 85, 0.2)",
+  difficult: "rgba(0, 100, 0, 0.2)",
+  cover: "rgba(160, 82, 45, 0.2)",
+};
+
 function createImageForCluster(cluster) {
   const fillStyle = cluster.side === "attackers" ? "#aaf" : "#faa";
   const strokeStyle = cluster.side === "attackers" ? "#00f" : "#f00";
@@ -27,28 +34,43 @@ function createImageForCluster(cluster) {
   return offscreenCanvas;
 }
 
-function updateClusterCircles(cluster) {
-  const numModels = cluster.currentModels;
-  if (numModels <= 0) {
-    cluster.img = null; // Clear image if no models
-    renderGameScreen();
-    return;
-  }
-  const cols = Math.ceil(Math.sqrt(numModels));
-  cluster.wIn = cols * DIA_IN;
-  cluster.hIn = Math.ceil(numModels / cols) * DIA_IN;
-
-  const newModels = [];
-  for (let i = 0; i < numModels; i++) {
-    const colIndex = i % cols;
-    const rowIndex = Math.floor(i / cols);
-    const centerX = cluster.originXIn + colIndex * DIA_IN + DIA_IN / 2;
-    const centerY = cluster.originYIn + rowIndex * DIA_IN + DIA_IN / 2;
-    newModels.push({ x: centerX, y: centerY, id: `${cluster.id}-model-${i}` });
+function createImageForTerrainFeature(feature) {
+  if (!pxPerInch || pxPerInch <= 0) return null;
+  const widthPx = Math.max(1, Math.ceil(feature.widthIn * pxPerInch));
+  const heightPx = Math.max(1, Math.ceil(feature.heightIn * pxPerInch));
+  const canvas = document.createElement("canvas");
+  canvas.width = widthPx;
+  canvas.height = heightPx;
+  const ctx = canvas.getContext("2d");
+  if (feature.properties.dangerous)
+    ctx.fillStyle = terrainColorMapping.dangerous;
+  else if (feature.properties.blocking)
+    ctx.fillStyle = terrainColorMapping.blocking;
+  else if (feature.properties.difficult)
+    ctx.fillStyle = terrainColorMapping.difficult;
+  else if (feature.properties.cover) ctx.fillStyle = terrainColorMapping.cover;
+  else ctx.fillStyle = "rgba(200,200,200,0.2)";
+  ctx.fillRect(0, 0, widthPx, heightPx);
+  ctx.strokeStyle = "rgba(50,50,50,0.2)";
+  ctx.lineWidth = Math.max(1, pxPerInch * 0.05);
+  ctx.strokeRect(0, 0, widthPx, heightPx);
+  ctx.fillStyle = "rgba(0,0,0,0.9)";
+  ctx.font = `${Math.max(8, Math.round(8 * (pxPerInch / 15)))}px sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  const propertiesList = Object.keys(feature.properties).filter(
+    (key) => feature.properties[key]
+  );
+  if (propertiesList.length > 0) {
+    const lineHeight = Math.ceil(parseInt(ctx.font) * 1.2);
+    let startY =
+      (heightPx - propertiesList.length * lineHeight) / 2 + lineHeight / 2;
+    propertiesList.forEach((item) => {
+      ctx.fillText(item.toUpperCase(), widthPx / 2, startY);
+      startY += lineHeight;
+    });
   }
-  cluster.models = newModels;
-  cluster.img = createImageForCluster(cluster);
-  renderGameScreen();
+  return canvas;
 }
 
 function renderGameScreen() {
@@ -96,6 +118,7 @@ function renderGameScreen() {
   ctx.fillRect(0, 0, canvas.width, canvas.height);
 
   terrainFeatures.forEach((feature) => {
+    if (!feature.img) feature.img = createImageForTerrainFeature(feature);
     if (feature.img)
       ctx.drawImage(feature.img, feature.x * pxPerInch, feature.y * pxPerInch);
   });
@@ -120,6 +143,8 @@ function renderGameScreen() {
 
   ["attackers", "defenders"].forEach((side) => {
     clusterCache[side].forEach((cluster) => {
+      if (!cluster.img && cluster.currentModels > 0)
+        cluster.img = createImageForCluster(cluster);
       if (!cluster.img) return;
       ctx.drawImage(
         cluster.img,
@@ -132,8 +157,11 @@ function renderGameScreen() {
       ctx.fillStyle = "#fff";
       ctx.shadowColor = "black";
       ctx.shadowBlur = 2;
+      const label = cluster.isInCover
+        ? `${cluster.name} (Cover)`
+        : cluster.name;
       ctx.fillText(
-        cluster.name,
+        label,
         cluster.cxIn * pxPerInch,
         (cluster.originYIn - 0.7) * pxPerInch
       );
@@ -142,7 +170,7 @@ function renderGameScreen() {
         ctx.fillText(
           "✔",
           cluster.cxIn * pxPerInch +
-            ctx.measureText(cluster.name).width / 2 +
+            ctx.measureText(label).width / 2 +
             5 * (pxPerInch / 15),
           (cluster.originYIn - 0.7) * pxPerInch
         );
@@ -160,6 +188,8 @@ function renderGameScreen() {
     });
   });
 
+  if (replayOverlay) drawMovementTrails(ctx, replayOverlay.moves);
+
   if (currentActiveUnit) {
     const c = currentActiveUnit;
     ctx.strokeStyle = "yellow";
@@ -176,28 +206,43 @@ function renderGameScreen() {
   // ...
 }
 
-function animateUnitMovement(
-  unitCluster,
-  targetCoordsIn,
-  distanceToMoveIn,
-  callback
-) {
+function drawMovementTrails(ctx, moves) {
+  const headPx = 0.6 * pxPerInch;
+  ctx.strokeStyle = "yellow";
+  ctx.fillStyle = "yellow";
+  ctx.lineWidth = 2;
+  ctx.setLineDash([6, 4]);
+  moves.forEach(({ from, to }) => {
+    const fromX = from.x * pxPerInch,
+      fromY = from.y * pxPerInch;
+    const toX = to.x * pxPerInch,
+      toY = to.y * pxPerInch;
+    ctx.beginPath();
+    ctx.moveTo(fromX, fromY);
+    ctx.lineTo(toX, toY);
+    ctx.stroke();
+    const angle = Math.atan2(toY - fromY, toX - fromX);
+    ctx.beginPath();
+    ctx.moveTo(toX, toY);
+    ctx.lineTo(
+      toX - headPx * Math.cos(angle - Math.PI / 6),
+      toY - headPx * Math.sin(angle - Math.PI / 6)
+    );
+    ctx.lineTo(
+      toX - headPx * Math.cos(angle + Math.PI / 6),
+      toY - headPx * Math.sin(angle + Math.PI / 6)
+    );
+    ctx.closePath();
+    ctx.fill();
+  });
+  ctx.setLineDash([]);
+}
+
+function animateUnitMovement(movement, done) {
   const MOVEMENT_SPEED_IN_PER_MS = 0.012; // slightly faster
-  const originalCenter = { x: unitCluster.cxIn, y: unitCluster.cyIn };
-  const originalOrigin = { x: unitCluster.originXIn, y: unitCluster.originYIn };
-
-  // *** FIX: Capture the original positions of each model ***
-  const originalModelPositions = unitCluster.models.map((m) => ({ ...m }));
-
-  let dX = targetCoordsIn.x - originalCenter.x;
-  let dY = targetCoordsIn.y - originalCenter.y;
-  const totalDistToTarget = Math.hypot(dX, dY);
-  if (totalDistToTarget < 0.01 || distanceToMoveIn <= 0) {
-    if (callback) callback();
-    return;
-  }
-  dX /= totalDistToTarget;
-  dY /= totalDistToTarget;
+  const unitCluster = movement.unit;
+  const distanceToMoveIn = movement.distance;
+  const movesById = new Map(movement.modelMoves.map((m) => [m.id, m]));
 
   let movedSoFarIn = 0;
   let lastTimestamp = null;
@@ -211,42 +256,34 @@ function animateUnitMovement(
       distanceToMoveIn - movedSoFarIn
     );
     movedSoFarIn += moveThisFrameIn;
+    const progress = movedSoFarIn / distanceToMoveIn;
 
-    const moveXThisFrame = dX * moveThisFrameIn;
-    const moveYThisFrame = dY * moveThisFrameIn;
-
-    // Update cluster's main points
-    unitCluster.cxIn += moveXThisFrame;
-    unitCluster.cyIn += moveYThisFrame;
-    unitCluster.originXIn += moveXThisFrame;
-    unitCluster.originYIn += moveYThisFrame;
-
-    // *** FIX: Update EACH model's position every frame ***
-    unitCluster.models.forEach((model, index) => {
-      model.x += moveXThisFrame;
-      model.y += moveYThisFrame;
+    // Only the drawn positions move here; the engine snaps the final positions.
+    unitCluster.models.forEach((model) => {
+      const move = movesById.get(model.id);
+      if (!move) return;
+      model.x = move.from.x + (move.to.x - move.from.x) * progress;
+      model.y = move.from.y + (move.to.y - move.from.y) * progress;
     });
+    fitClusterBoundsToModels(unitCluster);
+    unitCluster.img = null;
 
     renderGameScreen();
 
     if (movedSoFarIn < distanceToMoveIn) {
       requestAnimationFrame(step);
     } else {
-      // Snap to final position to correct any floating point inaccuracies
-      const finalMoveX = dX * distanceToMoveIn;
-      const finalMoveY = dY * distanceToMoveIn;
-      unitCluster.cxIn = originalCenter.x + finalMoveX;
-      unitCluster.cyIn = originalCenter.y + finalMoveY;
-      unitCluster.originXIn = originalOrigin.x + finalMoveX;
-      unitCluster.originYIn = originalOrigin.y + finalMoveY;
-      unitCluster.models.forEach((model, index) => {
-        model.x = originalModelPositions[index].x + finalMoveX;
-        model.y = originalModelPositions[index].y + finalMoveY;
-      });
-
-      renderGameScreen();
-      if (callback) callback();
+      done();
     }
   }
   requestAnimationFrame(step);
 }
+
+function subscribeRendererToGameEvents() {
+  onGameEvent("stateChanged", renderGameScreen);
+  onGameEvent("unitChanged", ({ unit }) => {
+    unit.img = null; // Rebuilt lazily from the new model layout.
+    renderGameScreen();
+  });
+  setGameEventPresenter("unitMoved", animateUnitMovement);
+}
@@ -0,0 +1,174 @@
+// --------------------------------------------------------------------------
+// REPLAY RECORDING AND PLAYBACK
+// This file records every activation of a game (the AI decision, movements,
+// structured combat events and log lines) together with a snapshot of the board after
+// it, and lets a view step through the recorded frames.
+// --------------------------------------------------------------------------
+
+let replayFrames = [];
+let pendingReplayFrame = null;
+let replayLiveState = null; // The live board, kept aside while replaying.
+
+/**
+ * Captures the parts of the game state that change between activations.
+ * @returns {Object} A JSON-safe board snapshot.
+ */
+function captureBoardSnapshot() {
+  return cloneSerializableState({
+    clusterCache,
+    reserveUnits,
+    embarkedUnits,
+    objectives,
+    currentTurn,
+    currentRound,
+    isGameOver,
+  });
+}
+
+/**
+ * Discards the recorded timeline and starts a new one from the current board.
+ * @param {string} label - Description of the opening frame.
+ */
+function startReplayRecording(label) {
+  pendingReplayFrame = null;
+  replayFrames = [
+    {
+      round: currentRound,
+      side: null,
+      unitId: null,
+      label,
+      events: [],
+      snapshot: captureBoardSnapshot(),
+    },
+  ];
+}
+
+/**
+ * Closes the activation being recorded and stores the board as it is now.
+ */
+function finishReplayFrame() {
+  if (!pendingReplayFrame) return;
+  pendingReplayFrame.snapshot = captureBoardSnapshot();
+  replayFrames.push(pendingReplayFrame);
+  pendingReplayFrame = null;
+}
+
+/**
+ * Game event listener that builds the replay timeline.
+ * @param {Object} payload - The event payload.
+ * @param {string} type - The event type.
+ */
+function recordReplayEvent(payload, type) {
+  switch (type) {
+    case "deploymentComplete":
+      startReplayRecording("Deployment complete");
+      return;
+    case "gameStateLoaded":
+      startReplayRecording(`Loaded game (round ${currentRound})`);
+      return;
+    case "unitActivated": {
+      finishReplayFrame();
+      const { unit, action, target, reason } = payload;
+      const targetName = target
+        ? target.name ||
+          `Objective (${target.x.toFixed(1)},${target.y.toFixed(1)})`
+        : null;
+      pendingReplayFrame = {
+        round: currentRound,
+        side: unit.side,
+        unitId: unit.id,
+        label: `${unit.name}: ${action}${
+          targetName ? ` -> ${targetName}` : ""
+        }`,
+        action,
+        reason,
+        events: [],
+      };
+      return;
+    }
+    case "turnEnded":
+    case "gameOver":
+      finishReplayFrame();
+      return;
+  }
+  if (!pendingReplayFrame) return;
+  if (type === "unitMoved") {
+    pendingReplayFrame.events.push({
+      type: "move",
+      unitId: payload.unit.id,
+      from: { ...payload.from },
+      to: { ...payload.to },
+      distance: payload.distance,
+    });
+  } else if (type === "combat") {
+    pendingReplayFrame.events.push({ type: "combat", combat: { ...payload } });
+  } else if (type === "log") {
+    pendingReplayFrame.events.push({ type: "log", message: payload.message });
+  }
+}
+
+/**
+ * Starts recording replays of games played in this page.
+ */
+function subscribeReplayRecorder() {
+  onGameEvent("*", recordReplayEvent);
+}
+
+/**
+ * Puts the live board aside so recorded frames can be shown in its place.
+ */
+function enterReplayMode() {
+  if (replayLiveState) return;
+  replayLiveState = {
+    clusterCache,
+    reserveUnits,
+    embarkedUnits,
+    objectives,
+    currentActiveUnit,
+  };
+}
+
+/**
+ * Shows the board as it was after the given frame.
+ * @param {number} index - Index into replayFrames.
+ * @returns {Object|null} The frame shown.
+ */
+function showReplayFrame(index) {
+  const frame = replayFrames[index];
+  if (!frame || !replayLiveState) return null;
+  const board = cloneSerializableState(frame.snapshot);
+  clusterCache = {
+    attackers: board.clusterCache.attackers.map(rehydrateCluster),
+    defenders: board.clusterCache.defenders.map(rehydrateCluster),
+  };
+  reserveUnits = board.reserveUnits || { attackers: [], defenders: [] };
+  embarkedUnits = {
+    attackers: (board.embarkedUnits?.attackers || []).map(rehydrateCluster),
+    defenders: (board.embarkedUnits?.defenders || []).map(rehydrateCluster),
+  };
+  objectives = board.objectives;
+  currentActiveUnit =
+    clusterCache[frame.side]?.find((c) => c.id === frame.unitId) || null;
+  replayOverlay = {
+    moves: frame.events.filter((e) => e.type === "move"),
+  };
+  notifyStateChanged();
+  return frame;
+}
+
+/**
+ * Returns to the live board.
+ */
+function exitReplayMode() {
+  if (!replayLiveState) return;
+  ({
+    clusterCache,
+    reserveUnits,
+    embarkedUnits,
+    objectives,
+    currentActiveUnit,
+  } = replayLiveState);
+  replayLiveState = null;
+  replayOverlay = null;
+  notifyStateChanged();
+}
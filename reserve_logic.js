@@ -0,0 +1,172 @@
+// --------------------------------------------------------------------------
+// AMBUSH RESERVES
+// This file contains the logic for units kept off the table with Ambush.
+// From round 2 on they arrive at the start of each round, more than 9" away
+// from enemy units, at a position chosen by the AI.
+// --------------------------------------------------------------------------
+
+const AMBUSH_FIRST_ROUND = 2;
+const AMBUSH_MIN_ENEMY_DISTANCE_IN = 9;
+const AMBUSH_PLACEMENT_STEP_IN = 3;
+
+/**
+ * Checks whether every sub-unit of a unit group has Ambush.
+ * @param {Object} unit - The parsed unit group.
+ * @returns {boolean} True if the unit may be kept in reserve.
+ */
+function isAmbushUnit(unit) {
+  return !!unit.subUnits?.every((su) => su.special?.ambush);
+}
+
+/**
+ * Checks whether an arriving unit may be placed with the given footprint:
+ * on the table, clear of other units and blocking terrain, and more than 9"
+ * from every enemy model.
+ * @param {Object} footprint - From getUnitGroupFootprint.
+ * @param {string} side - The arriving unit's side.
+ * @returns {boolean} True if the position is legal.
+ */
+function isLegalAmbushPosition(footprint, side) {
+  const opponent = side === "attackers" ? "defenders" : "attackers";
+  const rect = {
+    x: footprint.originXIn,
+    y: footprint.originYIn,
+    widthIn: footprint.wIn,
+    heightIn: footprint.hIn,
+  };
+  if (
+    rect.x < 0 ||
+    rect.y < 0 ||
+    rect.x + rect.widthIn > ZONE_W_IN ||
+    rect.y + rect.heightIn > ZONE_H_IN
+  )
+    return false;
+  if (
+    terrainFeatures.some(
+      (f) => f.properties.blocking && doRectsOverlap(rect, f)
+    )
+  )
+    return false;
+  if (
+    [...clusterCache.attackers, ...clusterCache.defenders].some((c) =>
+      areClustersColliding(footprint, c, 0.5)
+    )
+  )
+    return false;
+  return clusterCache[opponent].every(
+    (enemy) =>
+      getMinDistanceBetweenClusters(footprint, enemy) >
+      AMBUSH_MIN_ENEMY_DISTANCE_IN
+  );
+}
+
+/**
+ * Scores an arrival position for the AI: close to objectives the side does not
+ * hold, away from concentrations of enemy models (weak flanks), and with a
+ * shot at an enemy for units with ranged weapons.
+ * @param {Object} footprint - From getUnitGroupFootprint.
+ * @param {Object} unitGroupData - The arriving unit group.
+ * @param {string} side - The arriving unit's side.
+ * @returns {number} Higher is better.
+ */
+function scoreAmbushPosition(footprint, unitGroupData, side) {
+  const opponent = side === "attackers" ? "defenders" : "attackers";
+  const center = { x: footprint.cxIn, y: footprint.cyIn };
+  let score = 0;
+  const objectivesToTake = objectives.filter((o) => o.controller !== side);
+  if (objectivesToTake.length > 0)
+    score -= Math.min(...objectivesToTake.map((o) => distance(o, center)));
+  const nearbyEnemyModels = clusterCache[opponent].reduce(
+    (count, enemy) =>
+      count + enemy.models.filter((m) => distance(m, center) <= 18).length,
+    0
+  );
+  score -= nearbyEnemyModels * 0.5;
+  const rangeIn = getUnitMaxWeaponRange(unitGroupData);
+  if (
+    rangeIn > 0 &&
+    clusterCache[opponent].some((enemy) =>
+      isTargetVisibleInRange(footprint, enemy, rangeIn)
+    )
+  )
+    score += 6;
+  return score;
+}
+
+/**
+ * Finds the best legal arrival position for a reserve unit.
+ * @param {Object} unitGroupData - The arriving unit group.
+ * @param {string} side - The arriving unit's side.
+ * @returns {Object|null} The chosen footprint, or null if nowhere is legal.
+ */
+function findAmbushPlacement(unitGroupData, side) {
+  let best = null;
+  for (let y = 0; y <= ZONE_H_IN; y += AMBUSH_PLACEMENT_STEP_IN) {
+    for (let x = 0; x <= ZONE_W_IN; x += AMBUSH_PLACEMENT_STEP_IN) {
+      const footprint = getUnitGroupFootprint(unitGroupData, x, y);
+      if (!isLegalAmbushPosition(footprint, side)) continue;
+      const score = scoreAmbushPosition(footprint, unitGroupData, side);
+      if (!best || score > best.score) best = { footprint, score };
+    }
+  }
+  return best ? best.footprint : null;
+}
+
+/**
+ * Places one reserve unit on the table.
+ * @param {string} side - The side to place a unit for.
+ * @returns {boolean} True if a unit arrived.
+ */
+function deployNextAmbushUnit(side) {
+  const unitGroupData = reserveUnits[side][0];
+  if (!unitGroupData) return false;
+  const footprint = findAmbushPlacement(unitGroupData, side);
+  if (!footprint) {
+    logGameMessage(
+      `  ${unitGroupData.name} finds no position more than ${AMBUSH_MIN_ENEMY_DISTANCE_IN}" from enemies and stays in reserve.`
+    );
+    return false;
+  }
+  reserveUnits[side].shift();
+  const cluster = createUnitCluster({
+    unitGroupData,
+    side,
+    cx: footprint.cxIn,
+    cy: footprint.cyIn,
+    originX: footprint.originXIn,
+    originY: footprint.originYIn,
+  });
+  cluster.ambushArrivalRound = currentRound;
+  clusterCache[side].push(cluster);
+  logGameMessage(
+    `  ${unitGroupData.name} arrives from Ambush at (${footprint.cxIn.toFixed(
+      1
+    )}, ${footprint.cyIn.toFixed(1)}).`
+  );
+  announceUnitMessage(cluster, `${cluster.name} arrives from Ambush!`);
+  return true;
+}
+
+/**
+ * Brings in reserve units at the start of a round. Sides alternate placing,
+ * starting with the side that activates first; a side whose next unit finds no
+ * legal position keeps it (and the rest) in reserve for a later round.
+ */
+function deployAmbushReserves() {
+  if (currentRound < AMBUSH_FIRST_ROUND) return;
+  if (reserveUnits.attackers.length + reserveUnits.defenders.length === 0)
+    return;
+  logGameMessage(`--- Ambush reserves arrive (round ${currentRound}) ---`);
+  const blocked = { attackers: false, defenders: false };
+  let side = currentTurn;
+  while (
+    ["attackers", "defenders"].some(
+      (s) => !blocked[s] && reserveUnits[s].length > 0
+    )
+  ) {
+    if (!blocked[side] && reserveUnits[side].length > 0)
+      blocked[side] = !deployNextAmbushUnit(side);
+    side = side === "attackers" ? "defenders" : "attackers";
+  }
+  notifyStateChanged();
+}
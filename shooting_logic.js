@@ -5,9 +5,11 @@
 // --------------------------------------------------------------------------
 
 /**
- * Executes a shooting action from one unit to another.
+ * Executes a shooting action. The unit may split its fire: aiPlanSplitFire
+ * gives each weapon a target, and each target is then shot at in turn, the
+ * chosen target first.
  * @param {Object} shootingUnitCluster - The unit performing the shooting.
- * @param {Object} targetUnitCluster - The unit being shot at.
+ * @param {Object} targetUnitCluster - The unit the activation chose to shoot at.
  * @param {Object} actionContext - The context of the action (e.g., { isHold: true }).
  */
 function aiExecuteShootAction(
@@ -21,7 +23,7 @@ function aiExecuteShootAction(
     !shootingUnitCluster.unitGroupData ||
     shootingUnitCluster.unitGroupData.subUnits.length === 0
   ) {
-    showFloatingText(
+    announceUnitMessage(
       shootingUnitCluster,
       `${
         shootingUnitCluster?.name || "Shooter"
@@ -29,6 +31,50 @@ function aiExecuteShootAction(
     );
     return;
   }
+  const assignments = aiPlanSplitFire(shootingUnitCluster, targetUnitCluster);
+  if (assignments.length > 1) {
+    logGameMessage(
+      `${shootingUnitCluster.name} splits its fire: ${assignments
+        .map(
+          ({ target, weapons }) =>
+            `${weapons.map((w) => w.name).join(", ")} at ${target.name}`
+        )
+        .join("; ")}.`
+    );
+    emitCombatEvent({
+      type: "splitFire",
+      attackerId: shootingUnitCluster.id,
+      targets: assignments.map(({ target, weapons }) => ({
+        targetId: target.id,
+        weapons: weapons.map((w) => w.name),
+      })),
+    });
+  }
+  assignments.forEach(({ target, weapons }) => {
+    if (target.currentModels > 0)
+      resolveShootingAtTarget(
+        shootingUnitCluster,
+        target,
+        actionContext,
+        weapons
+      );
+  });
+}
+
+/**
+ * Resolves one unit's shooting at one target.
+ * @param {Object} shootingUnitCluster - The unit performing the shooting.
+ * @param {Object} targetUnitCluster - The unit being shot at.
+ * @param {Object} actionContext - The context of the action (e.g., { isHold: true }).
+ * @param {Object[]|null} [assignedWeapons=null] - The weapons shooting this
+ *   target (split fire); null for every weapon of the unit.
+ */
+function resolveShootingAtTarget(
+  shootingUnitCluster,
+  targetUnitCluster,
+  actionContext,
+  assignedWeapons = null
+) {
   let defenderSubUnit;
   if (targetUnitCluster.unitGroupData.subUnits.length > 1) {
     defenderSubUnit =
@@ -38,7 +84,7 @@ function aiExecuteShootAction(
   } else if (targetUnitCluster.unitGroupData.subUnits.length === 1) {
     defenderSubUnit = targetUnitCluster.unitGroupData.subUnits[0];
   } else {
-    showFloatingText(
+    announceUnitMessage(
       shootingUnitCluster,
       `Target ${targetUnitCluster.name} has no sub-units to be targeted.`
     );
@@ -46,35 +92,38 @@ function aiExecuteShootAction(
   }
 
   if (!defenderSubUnit) {
-    showFloatingText(
+    announceUnitMessage(
       shootingUnitCluster,
       `Target ${targetUnitCluster.name} has no valid sub-unit to be targeted.`
     );
     return;
   }
 
-  const isTargetInCover = targetUnitCluster.isInCover || false;
-  let defenderSubUnitForSaveRolls = defenderSubUnit;
-  const heroInDefender = targetUnitCluster.subUnitStates.find(
-    (sus) => sus.isHeroSubUnit && sus.currentModelsInSubUnit > 0
-  );
-  const otherModelsInDefender = targetUnitCluster.subUnitStates.some(
-    (sus) => !sus.isHeroSubUnit && sus.currentModelsInSubUnit > 0
+  const isTargetInCover = isTargetInCoverFrom(
+    shootingUnitCluster,
+    targetUnitCluster,
+    shootingUnitCluster.bestRangeIn
   );
-
-  if (heroInDefender && otherModelsInDefender) {
-    const firstNonHeroSubUnitState = targetUnitCluster.subUnitStates.find(
-      (sus) => !sus.isHeroSubUnit && sus.currentModelsInSubUnit > 0
-    );
-    if (firstNonHeroSubUnitState) {
-      defenderSubUnitForSaveRolls =
-        firstNonHeroSubUnitState.originalSubUnitData;
-    }
-  }
+  // All wound packets of the volley are applied together, so one cursor
+  // allocates every hit to the model that will take it.
+  const woundAllocation = createWoundAllocationCursor(targetUnitCluster);
+  const shotContext = {
+    ...(typeof actionContext === "object"
+      ? actionContext
+      : { action: actionContext }),
+    allocation: woundAllocation,
+  };
 
   const activationAttackLogs = [];
   let totalDamageToApplyToCluster = [];
   const allShootableWeaponsFromCluster = [];
+  const heldLimitedWeapons = [];
+  const fireLimitedWeapons = isHighValueTarget(targetUnitCluster);
+  const snipedSubUnitState = getSniperTargetSubUnit(
+    shootingUnitCluster,
+    targetUnitCluster
+  );
+  const snipedWoundPackets = [];
 
   shootingUnitCluster.unitGroupData.subUnits.forEach(
     (currentShootingSubUnit) => {
@@ -90,16 +139,23 @@ function aiExecuteShootAction(
 
       if (weaponsToUse) {
         weaponsToUse.forEach((weapon) => {
+          if (assignedWeapons && !assignedWeapons.includes(weapon)) return;
           if (
             weapon.range > 0 &&
-            isUnitInRangeOfTarget(
+            !isLimitedWeaponExpended(subUnitState, weapon) &&
+            isTargetVisibleInRange(
               shootingUnitCluster,
               targetUnitCluster,
               weapon.range
             )
           ) {
+            if (weapon.special?.limited && !fireLimitedWeapons) {
+              heldLimitedWeapons.push(weapon.name);
+              return;
+            }
             allShootableWeaponsFromCluster.push({
               subUnit: currentShootingSubUnit,
+              subUnitState,
               weapon: weapon,
             });
           }
@@ -108,32 +164,101 @@ function aiExecuteShootAction(
     }
   );
 
+  const lineOfSight = getLineOfSightResult(
+    shootingUnitCluster,
+    targetUnitCluster,
+    shootingUnitCluster.bestRangeIn
+  );
+  emitCombatEvent({
+    type: "lineOfSight",
+    attackerId: shootingUnitCluster.id,
+    targetId: targetUnitCluster.id,
+    ...lineOfSight,
+    inCover: isTargetInCover,
+  });
+
+  if (heldLimitedWeapons.length > 0)
+    logGameMessage(
+      `  ${
+        shootingUnitCluster.name
+      } saves its Limited ${heldLimitedWeapons.join(
+        ", "
+      )} for a more valuable target than ${targetUnitCluster.name}.`
+    );
+
   if (allShootableWeaponsFromCluster.length === 0) {
-    showFloatingText(
+    const blockedBySight = isUnitInRangeOfTarget(
+      shootingUnitCluster,
+      targetUnitCluster,
+      shootingUnitCluster.bestRangeIn
+    );
+    announceUnitMessage(
       shootingUnitCluster,
-      `${shootingUnitCluster.name} has no weapons in range of ${targetUnitCluster.name}.`
+      blockedBySight
+        ? `${shootingUnitCluster.name} has no line of sight to ${targetUnitCluster.name} (blocked by terrain).`
+        : `${shootingUnitCluster.name} has no weapons in range of ${targetUnitCluster.name}.`
     );
-    appendToCombatLog(
+    if (blockedBySight)
+      logGameMessage(
+        `${shootingUnitCluster.name} has no line of sight to ${targetUnitCluster.name}: blocked by terrain.`
+      );
+    logGameMessage(
       `${shootingUnitCluster.name} dealt a total of 0 damage this activation.`
     );
     return;
   }
 
+  // Sniper wounds are applied first, so their hits are allocated first too.
+  if (snipedSubUnitState)
+    allShootableWeaponsFromCluster.sort(
+      (a, b) => !!b.weapon.special?.sniper - !!a.weapon.special?.sniper
+    );
+
   allShootableWeaponsFromCluster.forEach((item, index) => {
-    const { subUnit, weapon } = item;
+    const { subUnit, subUnitState, weapon } = item;
+    // Sniper weapons target one model of the picked sub-unit, as a unit of 1.
+    const isSniping = !!(weapon.special?.sniper && snipedSubUnitState);
+    const allocationFocus = isSniping ? snipedSubUnitState : null;
     const attackResult = gameRollAttackSequence(
       subUnit,
       weapon,
-      defenderSubUnitForSaveRolls,
-      targetUnitCluster.name,
-      targetUnitCluster.currentModels,
-      actionContext,
+      getAllocatedCursorEntry(woundAllocation, allocationFocus)?.state
+        .originalSubUnitData || defenderSubUnit,
+      isSniping
+        ? `${snipedSubUnitState.originalSubUnitData.name} in ${targetUnitCluster.name}`
+        : targetUnitCluster.name,
+      isSniping ? 1 : targetUnitCluster.currentModels,
+      isSniping ? { ...shotContext, allocationFocus } : shotContext,
       isTargetInCover,
       false, // isAttackerFatigued is false for shooting
-      shootingUnitCluster.unitGroupData
+      shootingUnitCluster.unitGroupData,
+      [
+        ...getRangedHitModifiers(
+          shootingUnitCluster,
+          targetUnitCluster,
+          weapon
+        ),
+        ...getEffectHitModifiers(shootingUnitCluster),
+      ]
     );
     activationAttackLogs.push(...attackResult.log);
-    if (attackResult.woundPackets) {
+    if (weapon.special?.limited && subUnitState) {
+      subUnitState.expendedLimitedWeapons = [
+        ...(subUnitState.expendedLimitedWeapons || []),
+        weapon.name,
+      ];
+      activationAttackLogs.push(`  ${weapon.name} is Limited and now spent.`);
+    }
+    attackResult.events.forEach((event) =>
+      emitCombatEvent({
+        ...event,
+        attackerId: shootingUnitCluster.id,
+        targetId: targetUnitCluster.id,
+      })
+    );
+    if (isSniping) {
+      snipedWoundPackets.push(...attackResult.woundPackets);
+    } else if (attackResult.woundPackets) {
       totalDamageToApplyToCluster.push(...attackResult.woundPackets);
     }
     if (index < allShootableWeaponsFromCluster.length - 1) {
@@ -142,79 +267,211 @@ function aiExecuteShootAction(
   });
 
   if (allShootableWeaponsFromCluster.length > 0) {
-    let finalMessage = `${shootingUnitCluster.name} shoots at ${targetUnitCluster.name}:\n`;
+    let finalMessage = `${shootingUnitCluster.name} shoots at ${
+      targetUnitCluster.name
+    } (line of sight from ${lineOfSight.visibleModels}/${
+      lineOfSight.totalModels
+    } models${isTargetInCover ? ", target in cover" : ""}):\n`;
     finalMessage += activationAttackLogs.join("\n");
-    appendToCombatLog(finalMessage);
+    logGameMessage(finalMessage);
+
+    applyShootingDamage(
+      targetUnitCluster,
+      totalDamageToApplyToCluster,
+      "due to taking heavy casualties from shooting",
+      snipedSubUnitState
+        ? { subUnitState: snipedSubUnitState, woundPackets: snipedWoundPackets }
+        : null
+    );
+  }
+}
 
-    if (totalDamageToApplyToCluster.length > 0) {
-      const woundApplicationResult = applyWoundsToCluster(
+/**
+ * Applies wound packets from a ranged attack (shooting or a spell) to a unit,
+ * logs the result, removes it if destroyed and takes a casualty morale test
+ * when it drops to half strength.
+ * @param {Object} targetUnitCluster - The unit that was hit.
+ * @param {number[]} woundPackets - Wound packets from the attack sequence.
+ * @param {string} moraleReason - Reason shown for the morale test.
+ * @param {{subUnitState: Object, woundPackets: number[]}} [snipe=null] - Sniper
+ *   wound packets, allocated to the picked sub-unit before the others.
+ */
+function applyShootingDamage(
+  targetUnitCluster,
+  woundPackets,
+  moraleReason,
+  snipe = null
+) {
+  const snipedPackets = snipe?.woundPackets || [];
+  if (woundPackets.length + snipedPackets.length > 0) {
+    let modelsKilledCount = 0;
+    if (snipedPackets.length > 0) {
+      const snipeResult = applyWoundsToCluster(
         targetUnitCluster,
-        totalDamageToApplyToCluster
+        snipedPackets,
+        snipe.subUnitState
       );
-      if (woundApplicationResult.modelsKilledCount > 0) {
-        appendToCombatLog(
-          `  ${targetUnitCluster.name} lost ${woundApplicationResult.modelsKilledCount} models.`
-        );
-      }
+      modelsKilledCount += snipeResult.modelsKilledCount;
+      logGameMessage(
+        `  Sniper fire on ${snipe.subUnitState.originalSubUnitData.name}: ${
+          snipeResult.modelsKilledCount > 0
+            ? `${snipeResult.modelsKilledCount} model(s) killed`
+            : `${snipe.subUnitState.woundsOnCurrentModelInSubUnit}/${snipe.subUnitState.woundsPerModel} wounds`
+        }.`
+      );
+    }
+    if (woundPackets.length > 0 && targetUnitCluster.currentModels > 0)
+      modelsKilledCount += applyWoundsToCluster(
+        targetUnitCluster,
+        woundPackets
+      ).modelsKilledCount;
+    if (modelsKilledCount > 0) {
+      logGameMessage(
+        `  ${targetUnitCluster.name} lost ${modelsKilledCount} models.`
+      );
+    }
 
-      if (
-        targetUnitCluster.currentModels > 0 &&
-        totalDamageToApplyToCluster.length > 0
-      ) {
-        let reportedSubUnit = targetUnitCluster.subUnitStates.find(
-          (sus) => sus.currentModelsInSubUnit > 0
+    if (targetUnitCluster.currentModels > 0) {
+      let reportedSubUnit = targetUnitCluster.subUnitStates.find(
+        (sus) => sus.currentModelsInSubUnit > 0
+      );
+      if (reportedSubUnit) {
+        logGameMessage(
+          `  Current model in ${reportedSubUnit.originalSubUnitData.name} (Tough ${reportedSubUnit.woundsPerModel}) has ${reportedSubUnit.woundsOnCurrentModelInSubUnit} wounds.`
         );
-        if (reportedSubUnit) {
-          appendToCombatLog(
-            `  Current model in ${reportedSubUnit.originalSubUnitData.name} (Tough ${reportedSubUnit.woundsPerModel}) has ${reportedSubUnit.woundsOnCurrentModelInSubUnit} wounds.`
-          );
-        }
       }
-      const summaryWoundMessage = `${targetUnitCluster.name} now has ${targetUnitCluster.currentModels}/${targetUnitCluster.totalModels} models remaining.`;
-      showFloatingText(targetUnitCluster, summaryWoundMessage);
-      appendToCombatLog(summaryWoundMessage);
+    }
+    const summaryWoundMessage = `${targetUnitCluster.name} now has ${targetUnitCluster.currentModels}/${targetUnitCluster.totalModels} models remaining.`;
+    announceUnitMessage(targetUnitCluster, summaryWoundMessage);
+    logGameMessage(summaryWoundMessage);
 
-      if (targetUnitCluster.currentModels <= 0) {
-        showFloatingText(
-          targetUnitCluster,
-          `${targetUnitCluster.name} DESTROYED!`
-        );
-        appendToCombatLog(`${targetUnitCluster.name} DESTROYED!`);
-        const enemySide =
-          currentTurn === "attackers" ? "defenders" : "attackers";
-        clusterCache[enemySide] = clusterCache[enemySide].filter(
-          (c) => c.id !== targetUnitCluster.id
-        );
+    if (targetUnitCluster.currentModels <= 0) {
+      announceUnitMessage(
+        targetUnitCluster,
+        `${targetUnitCluster.name} DESTROYED!`
+      );
+      logGameMessage(`${targetUnitCluster.name} DESTROYED!`);
+      removeUnitFromTable(targetUnitCluster);
+    } else {
+      const initialModels = targetUnitCluster.totalModels;
+      let needsCasualtyMoraleTest = false;
+      if (initialModels > 1) {
+        if (targetUnitCluster.currentModels <= initialModels / 2) {
+          needsCasualtyMoraleTest = true;
+        }
       } else {
-        const initialModels = targetUnitCluster.totalModels;
-        let needsCasualtyMoraleTest = false;
-        if (initialModels > 1) {
-          if (targetUnitCluster.currentModels <= initialModels / 2) {
+        const subUnitState = targetUnitCluster.subUnitStates.find(
+          (sus) => sus.currentModelsInSubUnit > 0
+        );
+        if (subUnitState) {
+          const toughValue = subUnitState.woundsPerModel;
+          const remainingHP =
+            toughValue - subUnitState.woundsOnCurrentModelInSubUnit;
+          if (remainingHP <= toughValue / 2) {
             needsCasualtyMoraleTest = true;
           }
-        } else {
-          const subUnitState = targetUnitCluster.subUnitStates.find(
-            (sus) => sus.currentModelsInSubUnit > 0
-          );
-          if (subUnitState) {
-            const toughValue = subUnitState.woundsPerModel;
-            const remainingHP =
-              toughValue - subUnitState.woundsOnCurrentModelInSubUnit;
-            if (remainingHP <= toughValue / 2) {
-              needsCasualtyMoraleTest = true;
-            }
-          }
-        }
-        if (needsCasualtyMoraleTest) {
-          performMoraleTest(
-            targetUnitCluster,
-            "due to taking heavy casualties from shooting",
-            false
-          );
         }
       }
-    } else {
-      appendToCombatLog(`  No damage inflicted on ${targetUnitCluster.name}.`);
+      if (needsCasualtyMoraleTest) {
+        performMoraleTest(targetUnitCluster, moraleReason, false);
+      }
     }
+  } else {
+    logGameMessage(`  No damage inflicted on ${targetUnitCluster.name}.`);
   }
 }
+
+/**
+ * Whether a sub-unit has already fired its Limited weapon of this name.
+ * @param {Object} subUnitState - The shooting sub-unit state.
+ * @param {Object} weapon - The weapon.
+ * @returns {boolean} True if the weapon is Limited and spent.
+ */
+function isLimitedWeaponExpended(subUnitState, weapon) {
+  return (
+    !!weapon.special?.limited &&
+    !!subUnitState?.expendedLimitedWeapons?.includes(weapon.name)
+  );
+}
+
+/**
+ * Whether a target is worth firing Limited weapons at: a unit worth at least
+ * the average points of the enemy units on the table, or any target in the
+ * last round, when there is nothing left to save them for.
+ * @param {Object} targetUnitCluster - The target unit.
+ * @returns {boolean} True if Limited weapons should fire.
+ */
+function isHighValueTarget(targetUnitCluster) {
+  if (currentRound >= maxRounds) return true;
+  const enemies = clusterCache[targetUnitCluster.side];
+  const averagePoints =
+    enemies.reduce((sum, c) => sum + getUnitGroupPoints(c.unitGroupData), 0) /
+    Math.max(1, enemies.length);
+  return getUnitGroupPoints(targetUnitCluster.unitGroupData) >= averagePoints;
+}
+
+/**
+ * Picks the sub-unit a shooter's Sniper weapons should target: a joined hero
+ * that the Sniper shots could kill this activation. Returns null when the
+ * shooter has no Sniper weapon in range or no hero is worth sniping, in which
+ * case wounds follow the normal allocation.
+ * @param {Object} shootingUnitCluster - The shooting unit.
+ * @param {Object} targetUnitCluster - The target unit.
+ * @returns {Object|null} The sub-unit state to snipe.
+ */
+function getSniperTargetSubUnit(shootingUnitCluster, targetUnitCluster) {
+  const heroState = targetUnitCluster.subUnitStates.find(
+    (sus) => sus.isHeroSubUnit && sus.currentModelsInSubUnit > 0
+  );
+  const othersAlive = targetUnitCluster.subUnitStates.some(
+    (sus) => !sus.isHeroSubUnit && sus.currentModelsInSubUnit > 0
+  );
+  if (!heroState || !othersAlive) return null;
+
+  let maxWounds = 0;
+  let expectedWounds = 0;
+  shootingUnitCluster.subUnitStates
+    .filter((sus) => sus.currentModelsInSubUnit > 0)
+    .forEach((sus) => {
+      (sus.effectiveWeapons || []).forEach((weapon) => {
+        if (
+          !weapon.special?.sniper ||
+          isLimitedWeaponExpended(sus, weapon) ||
+          !isTargetVisibleInRange(
+            shootingUnitCluster,
+            targetUnitCluster,
+            weapon.range
+          )
+        )
+          return;
+        const saveTarget = getSaveTarget(
+          heroState.originalSubUnitData,
+          weapon.ap,
+          isTargetInCoverFrom(
+            shootingUnitCluster,
+            targetUnitCluster,
+            weapon.range
+          )
+        );
+        const failChance = (Math.min(saveTarget, 6) - 1) / 6;
+        // Sniper shoots at Quality 2+, then to-hit modifiers such as Stealth apply.
+        const hitModifier = [
+          ...getRangedHitModifiers(
+            shootingUnitCluster,
+            targetUnitCluster,
+            weapon
+          ),
+          ...getEffectHitModifiers(shootingUnitCluster),
+        ].reduce((sum, m) => sum + m.value, 0);
+        const hitTarget = Math.min(6, Math.max(2, 2 - hitModifier));
+        const hitChance = (7 - hitTarget) / 6;
+        const wounds =
+          weapon.amount * weapon.attacks * (weapon.special.deadly || 1);
+        maxWounds += wounds;
+        expectedWounds += wounds * hitChance * failChance;
+      });
+    });
+  const remainingHP =
+    heroState.woundsPerModel - heroState.woundsOnCurrentModelInSubUnit;
+  return expectedWounds > 0 && maxWounds >= remainingHP ? heroState : null;
+}
@@ -0,0 +1,296 @@
+// --------------------------------------------------------------------------
+// SPELLCASTING
+// This file contains the spell system for units with Caster(X): spell tokens
+// gained each round, faction spell lists, casting rolls helped or countered by
+// other casters nearby, and the AI choice of spell. Spell hits are resolved
+// through gameRollAttackSequence like any other attack.
+// --------------------------------------------------------------------------
+
+const SPELL_TOKEN_CAP = 6;
+const SPELL_CAST_TARGET = 4;
+const SPELL_ASSIST_RANGE_IN = 18;
+
+// Spell lists per faction, matched against the start of the army name. Each
+// spell deals `hits` automatic hits with the given AP and weapon rules.
+const SPELL_DEFINITIONS = {
+  "Prime Brothers": [
+    { name: "Psy-Bolt", cost: 1, range: 12, hits: 2, ap: 1, special: {} },
+    {
+      name: "Mind Spike",
+      cost: 2,
+      range: 18,
+      hits: 1,
+      ap: 2,
+      special: { deadly: 3 },
+    },
+    { name: "Psychic Storm", cost: 3, range: 12, hits: 6, ap: 1, special: {} },
+  ],
+  default: [
+    { name: "Arcane Bolt", cost: 1, range: 12, hits: 1, ap: 2, special: {} },
+    {
+      name: "Eldritch Blast",
+      cost: 2,
+      range: 18,
+      hits: 2,
+      ap: 1,
+      special: { blast: 3 },
+    },
+    { name: "Arcane Storm", cost: 3, range: 12, hits: 6, ap: 0, special: {} },
+  ],
+};
+
+/**
+ * Returns the spell list of a side's faction.
+ * @param {string} side - 'attackers' or 'defenders'.
+ * @returns {Object[]} Spell definitions.
+ */
+function getSpellsForSide(side) {
+  const armyName =
+    side === "attackers" ? currentAttackerArmyName : currentDefenderArmyName;
+  const faction = Object.keys(SPELL_DEFINITIONS).find(
+    (name) => name !== "default" && armyName.startsWith(name)
+  );
+  return SPELL_DEFINITIONS[faction || "default"];
+}
+
+/**
+ * Summed Caster(X) rating of a unit's remaining sub-units.
+ * @param {Object} unitCluster - The unit cluster.
+ * @returns {number} Tokens gained per round (0 for non-casters).
+ */
+function getCasterRating(unitCluster) {
+  return (unitCluster.subUnitStates || [])
+    .filter((sus) => sus.currentModelsInSubUnit > 0)
+    .reduce(
+      (sum, sus) => sum + (sus.originalSubUnitData.special?.caster || 0),
+      0
+    );
+}
+
+/**
+ * Gives every caster in play its Caster(X) tokens for the new round, up to the
+ * cap of 6.
+ */
+function grantSpellTokens() {
+  ["attackers", "defenders"].forEach((side) =>
+    getUnitsInPlay(side).forEach((unitCluster) => {
+      const rating = getCasterRating(unitCluster);
+      if (rating === 0) return;
+      unitCluster.spellTokens = Math.min(
+        SPELL_TOKEN_CAP,
+        (unitCluster.spellTokens || 0) + rating
+      );
+      logGameMessage(
+        `  ${unitCluster.name} gains ${rating} spell tokens (${unitCluster.spellTokens}/${SPELL_TOKEN_CAP}).`
+      );
+    })
+  );
+}
+
+/**
+ * Turns a spell into the weapon shape used by gameRollAttackSequence.
+ * @param {Object} spell - A spell definition.
+ * @returns {Object} A weapon object.
+ */
+function getSpellWeapon(spell) {
+  return {
+    amount: 1,
+    name: spell.name,
+    range: spell.range,
+    attacks: spell.hits,
+    ap: spell.ap,
+    special: { ...spell.special },
+  };
+}
+
+/**
+ * Picks the sub-unit whose Defense the AI expects to save against: the first
+ * non-hero sub-unit with models left, else any with models left.
+ * @param {Object} targetUnitCluster - The target unit.
+ * @returns {Object|null} Parsed sub-unit data.
+ */
+function getSpellSaveSubUnit(targetUnitCluster) {
+  const alive = targetUnitCluster.subUnitStates.filter(
+    (sus) => sus.currentModelsInSubUnit > 0
+  );
+  const state = alive.find((sus) => !sus.isHeroSubUnit) || alive[0];
+  return state ? state.originalSubUnitData : null;
+}
+
+/**
+ * Expected wounds of a spell against a unit (ignoring Medical Training and
+ * similar rules), used by the AI to compare spells and targets.
+ * @param {Object} spell - A spell definition.
+ * @param {Object} targetUnitCluster - The target unit.
+ * @returns {number} Expected wounds.
+ */
+function estimateSpellDamage(spell, targetUnitCluster) {
+  const saveSubUnit = getSpellSaveSubUnit(targetUnitCluster);
+  if (!saveSubUnit) return 0;
+  // Cover does not protect against spells.
+  const saveTarget = getSaveTarget(saveSubUnit, spell.ap, false);
+  const failChance = (Math.min(saveTarget, 6) - 1) / 6;
+  const blast = Math.min(
+    spell.special?.blast || 1,
+    targetUnitCluster.currentModels
+  );
+  return spell.hits * blast * failChance * (spell.special?.deadly || 1);
+}
+
+/**
+ * Returns the casters of a side with tokens left within 18" of a unit.
+ * @param {Object} unitCluster - The casting unit.
+ * @param {string} side - The side to look for casters on.
+ * @returns {Object[]} Caster clusters (never the casting unit itself).
+ */
+function getCastersInRange(unitCluster, side) {
+  return clusterCache[side].filter(
+    (c) =>
+      c.id !== unitCluster.id &&
+      (c.spellTokens || 0) > 0 &&
+      getMinDistanceBetweenClusters(unitCluster, c) <= SPELL_ASSIST_RANGE_IN
+  );
+}
+
+/**
+ * Chooses the spell and target with the most expected damage that the caster
+ * can afford and sees in range. The target of the unit's own shooting gets a
+ * bonus, so spells soften it up.
+ * @param {Object} casterCluster - The casting unit.
+ * @param {Object|null} preferredTarget - The unit the activation shoots, if any.
+ * @param {Object|null} excludedTarget - A unit not to target (the charge target,
+ *   which must survive for the charge to go in).
+ * @returns {{spell: Object, target: Object}|null} The choice, or null.
+ */
+function aiChooseSpell(casterCluster, preferredTarget, excludedTarget) {
+  const enemySide =
+    casterCluster.side === "attackers" ? "defenders" : "attackers";
+  let best = null;
+  getSpellsForSide(casterCluster.side)
+    .filter((spell) => spell.cost <= (casterCluster.spellTokens || 0))
+    .forEach((spell) => {
+      clusterCache[enemySide]
+        .filter(
+          (enemy) =>
+            enemy !== excludedTarget &&
+            isTargetVisibleInRange(casterCluster, enemy, spell.range)
+        )
+        .forEach((enemy) => {
+          const score =
+            estimateSpellDamage(spell, enemy) *
+            (enemy === preferredTarget ? 1.5 : 1);
+          if (score > 0 && (!best || score > best.score))
+            best = { spell, target: enemy, score };
+        });
+    });
+  return best ? { spell: best.spell, target: best.target } : null;
+}
+
+/**
+ * Casts a spell: spends its tokens, rolls, and on a total of 4+ resolves the
+ * spell hits against the target. Friendly casters within 18" can help (+1 per
+ * token) and enemy casters within 18" can counter (-1 per token), one token
+ * each. They only spend tokens when that changes the outcome: helpers when
+ * enough of them turn a failed roll into a success, then counters when enough
+ * of them turn the total back into a failure. Helpers must have activated
+ * already; counters must have activated or have a token to spare.
+ * @param {Object} casterCluster - The casting unit.
+ * @param {Object} spell - The spell definition.
+ * @param {Object} targetUnitCluster - The target unit.
+ * @returns {boolean} True if the spell succeeded.
+ */
+function castSpell(casterCluster, spell, targetUnitCluster) {
+  const enemySide =
+    casterCluster.side === "attackers" ? "defenders" : "attackers";
+  casterCluster.spellTokens -= spell.cost;
+  // Spends one token from each of the first `needed` casters, if there are enough.
+  const spendTokens = (casters, needed) =>
+    needed > 0 && casters.length >= needed
+      ? casters.slice(0, needed).map((c) => {
+          c.spellTokens -= 1;
+          return { unitId: c.id, unitName: c.name, tokens: 1 };
+        })
+      : [];
+  const roll = rollDie();
+  const assists = spendTokens(
+    getCastersInRange(casterCluster, casterCluster.side).filter(
+      (c) => c.activated
+    ),
+    SPELL_CAST_TARGET - roll
+  );
+  const counters = spendTokens(
+    getCastersInRange(casterCluster, enemySide).filter(
+      (c) => c.activated || c.spellTokens > 1
+    ),
+    roll + assists.length - SPELL_CAST_TARGET + 1
+  );
+  const total = roll + assists.length - counters.length;
+  const success = total >= SPELL_CAST_TARGET;
+  logGameMessage(
+    `${casterCluster.name} casts ${spell.name} (${spell.cost} tokens) at ${
+      targetUnitCluster.name
+    }: rolled ${roll}${assists.length ? ` +${assists.length}` : ""}${
+      counters.length ? ` -${counters.length}` : ""
+    } = ${total} -> ${success ? "SUCCESS" : "FAILED"}.`
+  );
+  emitCombatEvent({
+    type: "spellCast",
+    attackerId: casterCluster.id,
+    targetId: targetUnitCluster.id,
+    spell: spell.name,
+    cost: spell.cost,
+    roll,
+    assists,
+    counters,
+    total,
+    success,
+  });
+  if (!success) return false;
+
+  const casterState = casterCluster.subUnitStates.find(
+    (sus) =>
+      sus.currentModelsInSubUnit > 0 && sus.originalSubUnitData.special?.caster
+  );
+  const allocation = createWoundAllocationCursor(targetUnitCluster);
+  const attackResult = gameRollAttackSequence(
+    casterState.originalSubUnitData,
+    getSpellWeapon(spell),
+    getAllocatedCursorEntry(allocation).state.originalSubUnitData,
+    targetUnitCluster.name,
+    targetUnitCluster.currentModels,
+    { autoHit: true, allocation },
+    false, // Cover does not protect against spells.
+    false,
+    casterCluster.unitGroupData
+  );
+  logGameMessage(attackResult.log.join("\n"));
+  attackResult.events.forEach((event) =>
+    emitCombatEvent({
+      ...event,
+      attackerId: casterCluster.id,
+      targetId: targetUnitCluster.id,
+    })
+  );
+  applyShootingDamage(
+    targetUnitCluster,
+    attackResult.woundPackets,
+    "due to taking heavy casualties from a spell"
+  );
+  return true;
+}
+
+/**
+ * Lets an AI caster cast one spell at the start of its activation.
+ * @param {Object} unitCluster - The activating unit.
+ * @param {Object} decision - The activation's decision ({ action, target, shootTarget }).
+ */
+function aiCastSpell(unitCluster, decision) {
+  if (getCasterRating(unitCluster) === 0 || !(unitCluster.spellTokens > 0))
+    return;
+  const choice = aiChooseSpell(
+    unitCluster,
+    decision.shootTarget || null,
+    decision.action === "Charge" ? decision.target : null
+  );
+  if (choice) castSpell(unitCluster, choice.spell, choice.target);
+}
@@ -0,0 +1,445 @@
+// --------------------------------------------------------------------------
+// TRANSPORTS
+// This file contains the logic for units riding in transports: starting the
+// game embarked, embarking and disembarking during play, and getting out of a
+// destroyed transport. Embarked units are kept off the table in
+// embarkedUnits, with embarkedIn holding the id of their transport.
+// --------------------------------------------------------------------------
+
+const TRANSPORT_DISEMBARK_MOVE_IN = 6;
+const TRANSPORT_EMBARK_CONTACT_IN = 1;
+const TRANSPORT_PLACEMENT_ANGLES_DEG = [
+  0, 30, -30, 60, -60, 90, -90, 120, -120, 150, -150, 180,
+];
+
+/**
+ * Returns a side's units that are still in the game, on the table or embarked.
+ * @param {string} side - 'attackers' or 'defenders'.
+ * @returns {Object[]} Unit clusters.
+ */
+function getUnitsInPlay(side) {
+  return [...clusterCache[side], ...embarkedUnits[side]];
+}
+
+/**
+ * Checks whether a parsed unit group has transport capacity.
+ * @param {Object} unitGroup - The parsed unit group.
+ * @returns {boolean} True for transports.
+ */
+function isTransportGroup(unitGroup) {
+  return !!unitGroup.subUnits?.some((su) => su.special?.transport > 0);
+}
+
+/**
+ * Transport spaces one model of a sub-unit takes: heroes up to Tough(6) take
+ * 1, other models take 1, or 3 with Tough(3) to Tough(6). Bigger models do
+ * not fit.
+ * @param {Object} subUnit - Parsed sub-unit data.
+ * @returns {number} Spaces per model (Infinity if it cannot embark).
+ */
+function getTransportSpacePerModel(subUnit) {
+  const tough = subUnit.special?.tough || 1;
+  if (tough > 6) return Infinity;
+  if (subUnit.special?.hero || tough < 3) return 1;
+  return 3;
+}
+
+/**
+ * Transport spaces needed by a unit group at full strength.
+ * @param {Object} unitGroup - The parsed unit group.
+ * @returns {number} Spaces needed.
+ */
+function getUnitGroupTransportSpace(unitGroup) {
+  return unitGroup.subUnits.reduce(
+    (sum, su) => sum + (su.models || 1) * getTransportSpacePerModel(su),
+    0
+  );
+}
+
+/**
+ * Transport spaces needed by the remaining models of a unit.
+ * @param {Object} unitCluster - The unit cluster.
+ * @returns {number} Spaces needed.
+ */
+function getTransportSpaceNeeded(unitCluster) {
+  return unitCluster.subUnitStates.reduce(
+    (sum, sus) =>
+      sum +
+      sus.currentModelsInSubUnit *
+        getTransportSpacePerModel(sus.originalSubUnitData),
+    0
+  );
+}
+
+/**
+ * Total Transport(X) capacity of a unit's remaining sub-units.
+ * @param {Object} unitCluster - The unit cluster.
+ * @returns {number} Capacity in spaces (0 if not a transport).
+ */
+function getTransportCapacity(unitCluster) {
+  return (unitCluster.subUnitStates || [])
+    .filter((sus) => sus.currentModelsInSubUnit > 0)
+    .reduce(
+      (sum, sus) => sum + (sus.originalSubUnitData.special?.transport || 0),
+      0
+    );
+}
+
+/**
+ * Returns the units embarked in a transport.
+ * @param {Object} transportCluster - The transport.
+ * @returns {Object[]} Embarked unit clusters.
+ */
+function getPassengers(transportCluster) {
+  return (embarkedUnits[transportCluster.side] || []).filter(
+    (u) => u.embarkedIn === transportCluster.id
+  );
+}
+
+/**
+ * Returns the transport an embarked unit rides in.
+ * @param {Object} unitCluster - An embarked unit.
+ * @returns {Object|null} The transport cluster.
+ */
+function getTransportOf(unitCluster) {
+  return (
+    clusterCache[unitCluster.side].find(
+      (c) => c.id === unitCluster.embarkedIn
+    ) || null
+  );
+}
+
+/**
+ * Checks whether a unit fits into a friendly transport.
+ * @param {Object} unitCluster - The unit that wants to embark.
+ * @param {Object} transportCluster - The transport.
+ * @returns {boolean} True if there is room.
+ */
+function canEmbark(unitCluster, transportCluster) {
+  if (
+    unitCluster.side !== transportCluster.side ||
+    unitCluster.id === transportCluster.id ||
+    getTransportCapacity(unitCluster) > 0
+  )
+    return false;
+  const usedSpace = getPassengers(transportCluster).reduce(
+    (sum, p) => sum + getTransportSpaceNeeded(p),
+    0
+  );
+  return (
+    getTransportSpaceNeeded(unitCluster) <=
+    getTransportCapacity(transportCluster) - usedSpace
+  );
+}
+
+/**
+ * Takes a unit off the table and puts it into a transport.
+ * @param {Object} unitCluster - The unit embarking.
+ * @param {Object} transportCluster - The transport.
+ */
+function embarkUnit(unitCluster, transportCluster) {
+  clusterCache[unitCluster.side] = clusterCache[unitCluster.side].filter(
+    (c) => c.id !== unitCluster.id
+  );
+  unitCluster.embarkedIn = transportCluster.id;
+  embarkedUnits[unitCluster.side].push(unitCluster);
+  logGameMessage(`  ${unitCluster.name} embarks in ${transportCluster.name}.`);
+  announceUnitMessage(
+    transportCluster,
+    `${unitCluster.name} embarks in ${transportCluster.name}`
+  );
+  notifyStateChanged();
+}
+
+/**
+ * Finds a free spot for a unit next to a transport, trying headings around the
+ * direction of towardPoint first. Spots must be on the table, clear of other
+ * units and blocking terrain, and within 6" of the transport.
+ * @param {Object} unitCluster - The unit getting out.
+ * @param {Object} transportCluster - The transport.
+ * @param {{x: number, y: number}} [towardPoint] - Preferred direction.
+ * @returns {{x: number, y: number}|null} Centre of the spot, or null.
+ */
+function findDisembarkPosition(unitCluster, transportCluster, towardPoint) {
+  const baseAngle = towardPoint
+    ? Math.atan2(
+        towardPoint.y - transportCluster.cyIn,
+        towardPoint.x - transportCluster.cxIn
+      )
+    : 0;
+  const contactDist =
+    getEffectiveRadius(transportCluster) + getEffectiveRadius(unitCluster);
+  const onTable = clusterCache.attackers
+    .concat(clusterCache.defenders)
+    .filter((c) => c.id !== transportCluster.id);
+  for (let extra = 0.3; extra <= TRANSPORT_DISEMBARK_MOVE_IN; extra += 1.5) {
+    for (const angleDeg of TRANSPORT_PLACEMENT_ANGLES_DEG) {
+      const angle = baseAngle + (angleDeg * Math.PI) / 180;
+      const x = transportCluster.cxIn + Math.cos(angle) * (contactDist + extra);
+      const y = transportCluster.cyIn + Math.sin(angle) * (contactDist + extra);
+      const footprint = {
+        cxIn: x,
+        cyIn: y,
+        wIn: unitCluster.wIn,
+        hIn: unitCluster.hIn,
+      };
+      const rect = {
+        x: x - unitCluster.wIn / 2,
+        y: y - unitCluster.hIn / 2,
+        widthIn: unitCluster.wIn,
+        heightIn: unitCluster.hIn,
+      };
+      if (
+        rect.x < 0 ||
+        rect.y < 0 ||
+        rect.x + rect.widthIn > ZONE_W_IN ||
+        rect.y + rect.heightIn > ZONE_H_IN ||
+        terrainFeatures.some(
+          (f) => f.properties.blocking && doRectsOverlap(rect, f)
+        ) ||
+        onTable.some((c) => areClustersColliding(footprint, c, 0.25))
+      )
+        continue;
+      return { x, y };
+    }
+  }
+  return null;
+}
+
+/**
+ * Puts an embarked unit back on the table next to its transport. The unit may
+ * then move up to 6" in the same activation (see getUnitMoveValue).
+ * @param {Object} unitCluster - The embarked unit.
+ * @param {{x: number, y: number}} [towardPoint] - Where the unit wants to go.
+ * @returns {boolean} True if the unit got out.
+ */
+function disembarkUnit(unitCluster, towardPoint) {
+  const transportCluster = getTransportOf(unitCluster);
+  if (!transportCluster) return false;
+  const position = findDisembarkPosition(
+    unitCluster,
+    transportCluster,
+    towardPoint
+  );
+  if (!position) return false;
+  embarkedUnits[unitCluster.side] = embarkedUnits[unitCluster.side].filter(
+    (u) => u.id !== unitCluster.id
+  );
+  delete unitCluster.embarkedIn;
+  clusterCache[unitCluster.side].push(unitCluster);
+  translateUnitCluster(
+    unitCluster,
+    position.x - unitCluster.cxIn,
+    position.y - unitCluster.cyIn
+  );
+  unitCluster.moveLimitIn = TRANSPORT_DISEMBARK_MOVE_IN;
+  logGameMessage(
+    `  ${unitCluster.name} disembarks from ${transportCluster.name}.`
+  );
+  return true;
+}
+
+/**
+ * Gets the passengers out of a destroyed (or routed) transport, which must
+ * already be off the table. Each passenger is placed within 6" of it, takes a
+ * dangerous terrain test and is Shaken; passengers with no room are destroyed.
+ * @param {Object} transportCluster - The transport that was removed.
+ */
+function evacuateTransport(transportCluster) {
+  getPassengers(transportCluster).forEach((passenger) => {
+    embarkedUnits[passenger.side] = embarkedUnits[passenger.side].filter(
+      (u) => u.id !== passenger.id
+    );
+    delete passenger.embarkedIn;
+    const position = findDisembarkPosition(passenger, transportCluster);
+    if (!position) {
+      passenger.currentModels = 0;
+      logGameMessage(
+        `${passenger.name} has no room to get out of ${transportCluster.name} and is DESTROYED!`
+      );
+      return;
+    }
+    clusterCache[passenger.side].push(passenger);
+    translateUnitCluster(
+      passenger,
+      position.x - passenger.cxIn,
+      position.y - passenger.cyIn
+    );
+    logGameMessage(
+      `  ${passenger.name} gets out of the destroyed ${transportCluster.name}.`
+    );
+    takeDangerousTerrainTest(
+      passenger,
+      `bails out of ${transportCluster.name}`
+    );
+    if (passenger.currentModels > 0) {
+      passenger.shaken = true;
+      announceUnitMessage(passenger, `${passenger.name} is SHAKEN!`);
+    }
+  });
+  notifyStateChanged();
+}
+
+/**
+ * Checks whether the AI wants a unit group to ride in a transport: units built
+ * for melee or short-range shooting.
+ * @param {Object} unitGroup - The parsed unit group.
+ * @returns {boolean} True if the unit should ride.
+ */
+function wantsToRideInTransport(unitGroup) {
+  const type = classifyUnitType(unitGroup);
+  return (
+    type === "melee" ||
+    type === "melee-focus" ||
+    getUnitMaxWeaponRange(unitGroup) <= 12
+  );
+}
+
+/**
+ * Fills a freshly deployed transport with units from the same deployment
+ * queue, most expensive first. Passengers are removed from the queue.
+ * @param {Object} transportCluster - The transport just placed.
+ * @param {Object[]} deployQueue - The unit groups still waiting to deploy.
+ */
+function embarkStartingPassengers(transportCluster, deployQueue) {
+  let freeSpace = getTransportCapacity(transportCluster);
+  if (freeSpace <= 0) return;
+  deployQueue
+    .filter((u) => !isTransportGroup(u) && wantsToRideInTransport(u))
+    .sort((a, b) => getUnitGroupPoints(b) - getUnitGroupPoints(a))
+    .forEach((unitGroupData) => {
+      const spaceNeeded = getUnitGroupTransportSpace(unitGroupData);
+      if (spaceNeeded > freeSpace) return;
+      const footprint = getUnitGroupFootprint(
+        unitGroupData,
+        transportCluster.cxIn,
+        transportCluster.cyIn
+      );
+      const cluster = createUnitCluster({
+        unitGroupData,
+        side: transportCluster.side,
+        cx: footprint.cxIn,
+        cy: footprint.cyIn,
+        originX: footprint.originXIn,
+        originY: footprint.originYIn,
+      });
+      if (!cluster) return;
+      freeSpace -= spaceNeeded;
+      deployQueue.splice(deployQueue.indexOf(unitGroupData), 1);
+      cluster.embarkedIn = transportCluster.id;
+      embarkedUnits[transportCluster.side].push(cluster);
+      logGameMessage(
+        `   > ${cluster.name} starts embarked in ${transportCluster.name}.`
+      );
+    });
+}
+
+/**
+ * Decides whether a unit on the table should board a nearby friendly
+ * transport: it must want to ride, be out of charge range of the enemy and not
+ * holding an objective, and the transport must still be able to activate this
+ * round and be within Rush distance.
+ * @param {Object} unitCluster - The AI unit.
+ * @returns {Object|null} An "Embark" decision, or null.
+ */
+function aiDecideEmbark(unitCluster) {
+  if (
+    unitCluster.moveLimitIn !== undefined ||
+    currentRound >= maxRounds ||
+    !wantsToRideInTransport(unitCluster.unitGroupData)
+  )
+    return null;
+  const nearestEnemy = getNearestEnemyUnits(unitCluster)[0];
+  if (nearestEnemy && nearestEnemy.dist <= getUnitChargeRange(unitCluster))
+    return null;
+  if (objectives.some((o) => isUnitNearPoint(unitCluster, o, 3))) return null;
+  const rushDist = getUnitRushDistance(unitCluster);
+  const ride = getAISideCache()
+    .filter(
+      (t) =>
+        !t.activated &&
+        !t.shaken &&
+        canEmbark(unitCluster, t) &&
+        getMinDistanceBetweenClusters(unitCluster, t) - DIA_IN <= rushDist
+    )
+    .map((t) => ({ t, dist: getMinDistanceBetweenClusters(unitCluster, t) }))
+    .sort((a, b) => a.dist - b.dist)[0];
+  if (!ride) return null;
+  return {
+    action: "Embark",
+    target: ride.t,
+    reason: `Boarding ${ride.t.name} to ride towards the enemy.`,
+  };
+}
+
+/**
+ * Decides what an embarked unit does: get out when an enemy or an objective it
+ * does not hold is within reach of the transport (or in the last round, so it
+ * can score), otherwise stay aboard.
+ * @param {Object} unitCluster - The embarked AI unit.
+ * @returns {Object} A "Disembark", "Stay Embarked" or "Idle" decision.
+ */
+function aiDecideEmbarkedUnitAction(unitCluster) {
+  const transportCluster = getTransportOf(unitCluster);
+  if (unitCluster.shaken)
+    return { action: "Idle", target: null, reason: "Shaken unit recovers." };
+  const reach = TRANSPORT_DISEMBARK_MOVE_IN + 3;
+  const nearestEnemy = getEnemySideCache()
+    .map((enemy) => ({
+      unit: enemy,
+      dist: getMinDistanceBetweenClusters(transportCluster, enemy),
+    }))
+    .sort((a, b) => a.dist - b.dist)[0];
+  if (nearestEnemy && nearestEnemy.dist <= reach)
+    return {
+      action: "Disembark",
+      target: { x: nearestEnemy.unit.cxIn, y: nearestEnemy.unit.cyIn },
+      reason: `${nearestEnemy.unit.name} is within reach of ${transportCluster.name}.`,
+    };
+  const transportCenter = {
+    x: transportCluster.cxIn,
+    y: transportCluster.cyIn,
+  };
+  const objective = objectives
+    .filter((o) => o.controller !== unitCluster.side)
+    .map((o) => ({ o, dist: distance(o, transportCenter) }))
+    .sort((a, b) => a.dist - b.dist)[0];
+  if (objective && (objective.dist <= reach || currentRound >= maxRounds))
+    return {
+      action: "Disembark",
+      target: objective.o,
+      reason:
+        currentRound >= maxRounds
+          ? "Last round: getting out to contest objectives."
+          : "Objective within reach of the transport.",
+    };
+  return {
+    action: "Stay Embarked",
+    target: transportCluster,
+    reason: `Riding in ${transportCluster.name}.`,
+  };
+}
+
+/**
+ * Activates an embarked unit: it either stays aboard or gets out and then acts
+ * like any other unit, moving at most 6".
+ * @param {Object} unitCluster - The embarked AI unit.
+ * @returns {Promise} Resolves when the activation is complete.
+ */
+function activateEmbarkedUnit(unitCluster) {
+  const decision = aiDecideEmbarkedUnitAction(unitCluster);
+  if (decision.action !== "Disembark")
+    return aiPerformDecidedAction(unitCluster, decision);
+  const transportCluster = getTransportOf(unitCluster);
+  if (!disembarkUnit(unitCluster, decision.target))
+    return aiPerformDecidedAction(unitCluster, {
+      action: "Stay Embarked",
+      target: transportCluster,
+      reason: `No room to get out of ${transportCluster.name}.`,
+    });
+  const nextDecision = aiDecideUnitAction(unitCluster);
+  return aiPerformDecidedAction(unitCluster, {
+    ...nextDecision,
+    reason: `Disembarked (${decision.reason}) ${nextDecision.reason}`,
+  });
+}
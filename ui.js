@@ -6,6 +6,30 @@ function showUnitTooltip(data, mouseX, mouseY) {
   let content = "";
   if (data.unitGroupData) {
     content += `<h4>${data.name} (${data.type})</h4>`;
+    if (data.isInCover)
+      content += `<p><strong>In cover</strong> (most models in cover terrain)</p>`;
+    const capacity = getTransportCapacity(data);
+    if (capacity > 0) {
+      const passengers = getPassengers(data);
+      const usedSpace = passengers.reduce(
+        (sum, p) => sum + getTransportSpaceNeeded(p),
+        0
+      );
+      content += `<p><strong>Transport:</strong> ${usedSpace}/${capacity} spaces${
+        passengers.length > 0
+          ? ` (${passengers.map((p) => p.name).join(", ")})`
+          : ""
+      }</p>`;
+    }
+    const effects = getActiveEffects(data);
+    if (effects.length > 0)
+      content += `<p><strong>Effects:</strong> ${effects
+        .map((effect) => effect.name)
+        .join(", ")}</p>`;
+    if (getCasterRating(data) > 0)
+      content += `<p><strong>Spell tokens:</strong> ${
+        data.spellTokens || 0
+      }/${SPELL_TOKEN_CAP}</p>`;
     data.unitGroupData.subUnits.forEach((subUnit, index) => {
       if (data.unitGroupData.subUnits.length > 1) {
         content += `<div style="margin-top: 8px; padding-top: 5px; border-top: 1px dashed #ddd;"><strong>Sub-Unit: ${subUnit.name}</strong></div>`;
@@ -38,7 +62,11 @@ function showUnitTooltip(data, mouseX, mouseY) {
           (weapon) =>
             (content += `<li>${weapon.amount}x ${
               weapon.name
-            } ${getWeaponDisplayString(weapon, subUnit)}</li>`)
+            } ${getWeaponDisplayString(weapon, subUnit)}${
+              isLimitedWeaponExpended(state, weapon)
+                ? ` <em style="color: #999;">(spent)</em>`
+                : ""
+            }</li>`)
         );
         content += `</ul>`;
       }
@@ -155,9 +183,102 @@ function displayRoundMessage(message) {
   }, 1500);
 }
 
+function showArmybookDiagnostics(containerId, parsedResult) {
+  const container = $(`#${containerId}`).empty();
+  const unitCount = Object.keys(parsedResult.units).length;
+  const { diagnostics } = parsedResult;
+  const errorCount = diagnostics.filter((d) => d.severity === "error").length;
+  const summaryClass =
+    errorCount > 0 ? "error" : diagnostics.length > 0 ? "warning" : "ok";
+  container.append(
+    $("<div>")
+      .addClass(summaryClass)
+      .text(
+        `${
+          parsedResult.armyName
+        }: ${unitCount} units parsed, ${errorCount} errors, ${
+          diagnostics.length - errorCount
+        } warnings.`
+      )
+  );
+  if (diagnostics.length === 0) return;
+  const list = $("<ul>");
+  diagnostics.forEach(({ line, severity, message }) => {
+    list.append(
+      $("<li>")
+        .addClass(severity)
+        .text(`${line !== null ? `Line ${line}: ` : ""}${message}`)
+    );
+  });
+  container.append(list);
+}
+
+function showRuleCoverage(containerId, units) {
+  const container = $(`#${containerId}`).empty();
+  const report = buildRuleCoverageReport(units);
+  const total =
+    report.implemented.length +
+    report["parsed-only"].length +
+    report.unknown.length;
+  if (total === 0) return;
+  container.append(
+    $("<div>").text(
+      `Rule coverage: ${report.implemented.length} of ${total} rules and weapon tags affect the simulation.`
+    )
+  );
+  const list = $("<ul>");
+  [
+    ["parsed-only", "warning", "Parsed only (no effect)"],
+    ["unknown", "error", "Unknown"],
+    ["implemented", "ok", "Implemented"],
+  ].forEach(([status, cls, label]) => {
+    if (report[status].length === 0) return;
+    const item = $("<li>").addClass(cls).text(`${label}: `);
+    report[status].forEach((entry, index) => {
+      if (index > 0) item.append(", ");
+      item.append(document.createTextNode(entry.name));
+      item.append(
+        $("<span>")
+          .addClass("coverage-units")
+          .text(` (${entry.units.join(", ")})`)
+      );
+    });
+    list.append(item);
+  });
+  container.append(list);
+}
+
+// Lists the Ambush units of both sides that have not arrived yet.
+function showReservePool() {
+  const container = $("#reserve-pool").empty();
+  const sides = ["attackers", "defenders"].filter(
+    (side) => reserveUnits[side].length > 0
+  );
+  if (sides.length === 0) return container.hide();
+  container.append($("<strong>").text("Ambush reserves"));
+  const list = $("<ul>");
+  sides.forEach((side) => {
+    const armyName =
+      side === "attackers" ? currentAttackerArmyName : currentDefenderArmyName;
+    const units = reserveUnits[side]
+      .map((u) => `${u.name} (${getUnitGroupPoints(u)}pts)`)
+      .join(", ");
+    list.append($("<li>").text(`${armyName} (${side}): ${units}`));
+  });
+  container.append(list).show();
+}
+
 function parseAndPopulateArmybook(textAreaId, isAttacker) {
   const text = $(`#${textAreaId}`).val();
   const parsedResult = parseArmybook(text);
+  showArmybookDiagnostics(
+    isAttacker ? "attackerDiagnostics" : "defenderDiagnostics",
+    parsedResult
+  );
+  showRuleCoverage(
+    isAttacker ? "attackerCoverage" : "defenderCoverage",
+    parsedResult.units
+  );
   if (isAttacker) {
     currentAttackerUnits = parsedResult.units;
     currentAttackerArmyName = parsedResult.armyName;
@@ -168,10 +289,222 @@ function parseAndPopulateArmybook(textAreaId, isAttacker) {
   cacheStale = true;
 }
 
+function subscribeUIToGameEvents() {
+  onGameEvent("log", ({ message }) => appendToCombatLog(message));
+  onGameEvent("unitMessage", ({ unit, message }) =>
+    showFloatingText(unit, message)
+  );
+  onGameEvent("roundStarted", ({ round }) =>
+    displayRoundMessage(`Round ${round} Starting`)
+  );
+  onGameEvent("turnEnded", () => $("#aiButton").text(`Activate unit`));
+  onGameEvent("gameOver", ({ result }) => {
+    $("#aiButton, #playRoundButton").prop("disabled", true);
+    showGameResult(result);
+  });
+  onGameEvent("deploymentComplete", () => {
+    $("#startDeploymentButton").hide();
+    $("#aiButton").show().prop("disabled", false);
+    $("#playRoundButton").show().prop("disabled", false);
+    $("#saveGameButton, #replayButton").show();
+    displayRoundMessage("Deployment Complete!");
+  });
+  onGameEvent("stateChanged", showReservePool);
+  subscribeRendererToGameEvents();
+  subscribeReplayRecorder();
+}
+
+function applyRoundLimitFromInput() {
+  maxRounds = Math.max(1, parseInt($("#roundsInput").val(), 10) || 4);
+  $("#roundsInput").val(maxRounds);
+}
+
+function applyGameSettingsFromInputs() {
+  const requestedSeed = $("#seedInput").val().trim();
+  const seed = setRandomSeed(requestedSeed || undefined);
+  applyRoundLimitFromInput();
+  $("#seedInput").val(seed);
+  $("#seedInput, #roundsInput").prop("disabled", true);
+  appendToCombatLog(`--- Game seed: ${seed} | Round limit: ${maxRounds} ---`);
+}
+
+function showGameResult(result) {
+  const sideName = (side) =>
+    side === "attackers" ? currentAttackerArmyName : currentDefenderArmyName;
+  const headline =
+    result.winner === "draw"
+      ? "Draw"
+      : `${sideName(result.winner)} (${result.winner}) win`;
+  const reasonText =
+    result.reason === "wipeout"
+      ? `Army wiped out in round ${result.round}`
+      : `Round limit reached after round ${result.round}`;
+  // Army names come from user-supplied lists, so cells are filled as text.
+  const row = (cellTag, cells) =>
+    $("<tr>").append(cells.map((cell) => $(cellTag).text(cell)));
+  const table = $("<table>").append(
+    row("<th>", ["", sideName("attackers"), sideName("defenders")])
+  );
+  result.tieBreakers.forEach(({ key, label }) => {
+    table.append(
+      row("<td>", [
+        label,
+        result.stats.attackers[key],
+        result.stats.defenders[key],
+      ]).toggleClass("decisive", key === result.decidedBy)
+    );
+  });
+  $("#game-result")
+    .empty()
+    .append(
+      $("<h3>").text(headline),
+      $("<p>").text(reasonText),
+      table,
+      $('<button id="closeGameResultButton">').text("Close")
+    )
+    .show();
+  $("#closeGameResultButton").on("click", () => $("#game-result").hide());
+}
+
+async function runBatchFromUI() {
+  const gameCount = Math.max(1, parseInt($("#batchGamesInput").val(), 10) || 1);
+  const requestedSeed = $("#seedInput").val().trim();
+  applyRoundLimitFromInput();
+  $("#generateTerrainButton, #skipTerrainButton, #runBatchButton").prop(
+    "disabled",
+    true
+  );
+  $("#seedInput, #roundsInput, #batchGamesInput").prop("disabled", true);
+  appendToCombatLog(`--- Running ${gameCount} batch games... ---`);
+  await runUIAction(async () => {
+    const summary = await runBatchBattles(
+      gameCount,
+      requestedSeed || undefined,
+      (done, total) => $("#runBatchButton").text(`Running ${done}/${total}`)
+    );
+    formatBatchReport(summary).forEach((line) => appendToCombatLog(line));
+  });
+  $("#runBatchButton").text("Run Batch");
+  $("#generateTerrainButton, #skipTerrainButton, #runBatchButton").prop(
+    "disabled",
+    false
+  );
+  $("#seedInput, #roundsInput, #batchGamesInput").prop("disabled", false);
+  renderGameScreen();
+}
+
+function saveGameToFile() {
+  if (uiActionInProgress) return;
+  const json = JSON.stringify(serializeGameState(), null, 2);
+  const url = URL.createObjectURL(
+    new Blob([json], { type: "application/json" })
+  );
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `game-${getRandomSeed()}-round-${currentRound}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+  appendToCombatLog(`--- Game saved (round ${currentRound}). ---`);
+}
+
+function loadGameFromFile(file) {
+  if (uiActionInProgress) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    if (uiActionInProgress) {
+      appendToCombatLog("Error: Could not load game while the AI is acting.");
+      return;
+    }
+    exitReplayFromUI();
+    try {
+      restoreGameState(JSON.parse(reader.result));
+    } catch (error) {
+      appendToCombatLog(`Error: Could not load game: ${error.message}`);
+      return;
+    }
+    $("#seedInput").val(getRandomSeed());
+    $("#roundsInput").val(maxRounds);
+    $("#seedInput, #roundsInput").prop("disabled", true);
+    $("#generateTerrainButton, #skipTerrainButton, #batchControls").hide();
+    $("#startDeploymentButton").hide();
+    $("#game-result").hide();
+    $("#aiButton, #playRoundButton, #saveGameButton, #replayButton").show();
+    $("#aiButton").text(`Activate unit`);
+    $("#aiButton, #playRoundButton").prop("disabled", isGameOver);
+    if (isGameOver && gameResult) showGameResult(gameResult);
+  };
+  reader.readAsText(file);
+}
+
+function showReplayFrameInUI(index) {
+  const frame = showReplayFrame(index);
+  if (!frame) return;
+  $("#replaySlider").val(index);
+  const sideText = frame.side ? ` | ${frame.side}` : "";
+  const heading = `${index}/${replayFrames.length - 1} | Round ${
+    frame.round
+  }${sideText} | ${frame.label}`;
+  // Unit names come from user-supplied lists, so the panel is built as text.
+  let content = "";
+  if (frame.reason) content += `Reason: ${frame.reason}\n`;
+  frame.events.forEach((event) => {
+    if (event.type === "log") content += `${event.message}\n`;
+    else if (event.type === "move")
+      content += `Moved ${event.distance.toFixed(1)}"\n`;
+    else if (event.type === "combat" && event.combat.type === "woundsApplied")
+      content += `${event.combat.unitName}: ${event.combat.packets.length} wounds, ${event.combat.modelsKilled} models killed, ${event.combat.modelsRemaining} left\n`;
+  });
+  $("#replay-info")
+    .empty()
+    .append($("<h4>").text(heading), document.createTextNode(content))
+    .show()
+    .scrollTop(0);
+}
+
+// Runs an activation, round or batch started from the UI. Replay, saving and
+// loading all touch the live game state, so they wait until the engine is done
+// with it.
+async function runUIAction(task) {
+  uiActionInProgress = true;
+  $("#replayButton, #saveGameButton, #loadGameButton").prop("disabled", true);
+  try {
+    await task();
+  } finally {
+    uiActionInProgress = false;
+    $("#replayButton, #saveGameButton, #loadGameButton").prop(
+      "disabled",
+      false
+    );
+  }
+}
+
+function enterReplayFromUI() {
+  if (replayFrames.length === 0 || uiActionInProgress) return;
+  enterReplayMode();
+  $("#aiButton, #playRoundButton, #saveGameButton, #replayButton").hide();
+  $("#replayControls").show();
+  $("#replaySlider").attr("max", replayFrames.length - 1);
+  showReplayFrameInUI(replayFrames.length - 1);
+}
+
+function exitReplayFromUI() {
+  if (!replayLiveState) return;
+  exitReplayMode();
+  $("#replayControls, #replay-info").hide();
+  $("#aiButton, #playRoundButton, #saveGameButton, #replayButton").show();
+}
+
+function stepReplay(delta) {
+  const index = Number($("#replaySlider").val()) + delta;
+  if (index >= 0 && index < replayFrames.length) showReplayFrameInUI(index);
+}
+
 function setupInitialUI() {
   unitTooltipElement = document.getElementById("unit-tooltip");
-  $("#generateTerrainButton, #skipTerrainButton").show();
-  $("#startDeploymentButton, #aiButton, #playRoundButton").hide();
+  $("#generateTerrainButton, #skipTerrainButton, #batchControls").show();
+  $(
+    "#startDeploymentButton, #aiButton, #playRoundButton, #saveGameButton, #replayButton, #replayControls"
+  ).hide();
   $("body").toggleClass(
     "game-tab-active",
     $(".tab-button.active").data("tab") === "tab-game"
@@ -181,6 +514,7 @@ function setupInitialUI() {
 }
 
 function initializeApp() {
+  subscribeUIToGameEvents();
   setupInitialUI();
 
   $(".tab-button").on("click", function () {
@@ -206,6 +540,8 @@ function initializeApp() {
 
   $("#generateTerrainButton").on("click", function () {
     $(this).parent().find("button").hide();
+    $("#batchControls").hide();
+    applyGameSettingsFromInputs();
     terrainFeatures = generateAndPlaceAllTerrain();
     setupObjectives();
     renderGameScreen();
@@ -214,12 +550,33 @@ function initializeApp() {
 
   $("#skipTerrainButton").on("click", function () {
     $(this).parent().find("button").hide();
+    $("#batchControls").hide();
+    applyGameSettingsFromInputs();
     terrainFeatures = [];
     setupObjectives();
     renderGameScreen();
     $("#startDeploymentButton").show();
   });
 
+  $("#runBatchButton").on("click", runBatchFromUI);
+
+  $("#saveGameButton").on("click", saveGameToFile);
+
+  $("#replayButton").on("click", enterReplayFromUI);
+  $("#exitReplayButton").on("click", exitReplayFromUI);
+  $("#replayPrevButton").on("click", () => stepReplay(-1));
+  $("#replayNextButton").on("click", () => stepReplay(1));
+  $("#replaySlider").on("input", function () {
+    showReplayFrameInUI(Number(this.value));
+  });
+
+  $("#loadGameButton").on("click", () => $("#loadGameInput").trigger("click"));
+
+  $("#loadGameInput").on("change", function () {
+    if (this.files[0]) loadGameFromFile(this.files[0]);
+    this.value = "";
+  });
+
   $("#startDeploymentButton").on("click", function () {
     $(this).prop("disabled", true);
     startDeploymentPhase();
@@ -228,16 +585,18 @@ function initializeApp() {
   $("#aiButton").on("click", async () => {
     if (!isDeploymentComplete) return;
     $("#aiButton, #playRoundButton").prop("disabled", true);
-    await activateSingleUnitForCurrentSide();
-    finalizeAITurn();
-    $("#aiButton, #playRoundButton").prop("disabled", false);
+    await runUIAction(async () => {
+      await activateSingleUnitForCurrentSide();
+      finalizeAITurn();
+    });
+    if (!isGameOver) $("#aiButton, #playRoundButton").prop("disabled", false);
   });
 
   $("#playRoundButton").on("click", async () => {
     if (!isDeploymentComplete) return;
     $("#aiButton, #playRoundButton").prop("disabled", true);
-    await playFullRound();
-    $("#aiButton, #playRoundButton").prop("disabled", false);
+    await runUIAction(playFullRound);
+    if (!isGameOver) $("#aiButton, #playRoundButton").prop("disabled", false);
   });
 
   $("#gameCanvas").on("mousemove", (event) => {
@@ -68,6 +68,8 @@ function classifyUnitType(unitGroup) {
   let meleeGoodness = 0,
     rangedGoodness = 0;
   unitGroup.subUnits?.forEach((su) => {
+    // Impact hits on the charge count as melee attacks at AP(0).
+    meleeGoodness += (su.special?.impact || 0) * (su.models || 1);
     su.weapons?.forEach((w) => {
       const goodness = calculateWeaponGoodness(w);
       if (w.range > 0) rangedGoodness += goodness;
@@ -86,6 +88,33 @@ function getUnitMaxWeaponRange(unitGroup) {
   );
 }
 
+// The footprint a unit group would have centred on (cx, cy), with the same
+// model grid as createUnitCluster.
+function getUnitGroupFootprint(unitGroupData, cx, cy) {
+  const modelCount = unitGroupData.subUnits.reduce(
+    (sum, su) => sum + (su.models || 1),
+    0
+  );
+  const cols = Math.ceil(Math.sqrt(modelCount));
+  const wIn = cols * DIA_IN,
+    hIn = Math.ceil(modelCount / cols) * DIA_IN;
+  const originX = cx - wIn / 2,
+    originY = cy - hIn / 2;
+  return {
+    name: unitGroupData.name,
+    cxIn: cx,
+    cyIn: cy,
+    originXIn: originX,
+    originYIn: originY,
+    wIn,
+    hIn,
+    models: Array.from({ length: modelCount }, (_, j) => ({
+      x: originX + (j % cols) * DIA_IN + DIA_IN / 2,
+      y: originY + Math.floor(j / cols) * DIA_IN + DIA_IN / 2,
+    })),
+  };
+}
+
 function createUnitCluster({ unitGroupData, side, cx, cy, originX, originY }) {
   if (!unitGroupData?.subUnits?.length) return null;
   const modelCount = unitGroupData.subUnits.reduce(
@@ -97,14 +126,20 @@ function createUnitCluster({ unitGroupData, side, cx, cy, originX, originY }) {
   const cols = Math.ceil(Math.sqrt(modelCount));
   const unitWidthInches = cols * DIA_IN;
   const unitHeightInches = Math.ceil(modelCount / cols) * DIA_IN;
+  // The side count keeps ids unique when units deploy in the same millisecond.
   const clusterId = `${side}-${unitGroupData.name.replace(
     /\s+/g,
     "_"
-  )}-${Date.now()}`;
+  )}-${Date.now()}-${clusterCache[side].length}`;
+  // Models are laid out in sub-unit order and remember which sub-unit they belong to.
+  const modelSubUnitIds = unitGroupData.subUnits.flatMap((su, i) =>
+    Array(su.models || 1).fill(`${clusterId}-subunit-${i}`)
+  );
   const models = Array.from({ length: modelCount }, (_, j) => ({
     x: originX + (j % cols) * DIA_IN + DIA_IN / 2,
     y: originY + Math.floor(j / cols) * DIA_IN + DIA_IN / 2,
     id: `${clusterId}-model-${j}`,
+    subUnitId: modelSubUnitIds[j],
   }));
   const subUnitStates = unitGroupData.subUnits.map((su, i) => ({
     originalSubUnitData: su,
@@ -114,6 +149,7 @@ function createUnitCluster({ unitGroupData, side, cx, cy, originX, originY }) {
     woundsPerModel: su.special?.tough || 1,
     effectiveWeapons: JSON.parse(JSON.stringify(su.weapons)),
     isHeroSubUnit: !!su.special?.hero,
+    expendedLimitedWeapons: [], // Names of Limited weapons already fired.
   }));
   const newCluster = {
     id: clusterId,
@@ -137,8 +173,47 @@ function createUnitCluster({ unitGroupData, side, cx, cy, originX, originY }) {
     subUnitStates,
     img: null,
   };
-  if (pxPerInch > 0) {
-    newCluster.img = createImageForCluster(newCluster);
-  }
+  newCluster.isInCover = isUnitInCoverTerrain(newCluster);
   return newCluster;
 }
+
+// Recomputes the centre, origin and size of a unit from where its models stand,
+// so the box that range checks and the renderer use always wraps the models.
+function fitClusterBoundsToModels(cluster) {
+  if (!cluster.models?.length) return;
+  const xs = cluster.models.map((m) => m.x),
+    ys = cluster.models.map((m) => m.y);
+  const minX = Math.min(...xs) - DIA_IN / 2,
+    minY = Math.min(...ys) - DIA_IN / 2;
+  cluster.originXIn = minX;
+  cluster.originYIn = minY;
+  cluster.wIn = Math.max(...xs) + DIA_IN / 2 - minX;
+  cluster.hIn = Math.max(...ys) + DIA_IN / 2 - minY;
+  cluster.cxIn = minX + cluster.wIn / 2;
+  cluster.cyIn = minY + cluster.hIn / 2;
+}
+
+// Pairs each model with its sub-unit state. Models know their sub-unit; units
+// from older saves fall back to the sub-unit order the models were laid out in.
+function getModelSubUnitStates(cluster) {
+  if (cluster.models.every((m) => m.subUnitId))
+    return cluster.models.map((m) =>
+      cluster.subUnitStates.find((sus) => sus.id === m.subUnitId)
+    );
+  return cluster.subUnitStates.flatMap((sus) =>
+    Array(Math.max(0, sus.currentModelsInSubUnit)).fill(sus)
+  );
+}
+
+function translateUnitCluster(cluster, dx, dy) {
+  cluster.cxIn += dx;
+  cluster.cyIn += dy;
+  cluster.originXIn += dx;
+  cluster.originYIn += dy;
+  cluster.models.forEach((model) => {
+    model.x += dx;
+    model.y += dy;
+  });
+  updateUnitCover(cluster);
+  notifyStateChanged();
+}
@@ -1,12 +1,66 @@
 // --- utils.js ---
 // General utility functions for dice rolls, string manipulation, and array operations.
 
+// Seeded random number generator (mulberry32). Every roll and random placement in
+// the simulation draws from this single stream, so a seed replays a game exactly.
+let randomSeed = null;
+let randomState = 0;
+
+function normalizeRandomSeed(seed) {
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  let hash = 2166136261;
+  for (const ch of text) {
+    hash ^= ch.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+function generateRandomSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+function setRandomSeed(seed = generateRandomSeed()) {
+  randomSeed = normalizeRandomSeed(seed);
+  randomState = randomSeed;
+  return randomSeed;
+}
+
+function getRandomSeed() {
+  if (randomSeed === null) setRandomSeed();
+  return randomSeed;
+}
+
+// Snapshot of the generator position, used when saving and loading games.
+function getRandomState() {
+  return { seed: getRandomSeed(), state: randomState };
+}
+
+function setRandomState(saved) {
+  randomSeed = saved.seed >>> 0;
+  randomState = saved.state >>> 0;
+}
+
+function randomFloat() {
+  if (randomSeed === null) setRandomSeed();
+  randomState = (randomState + 0x6d2b79f5) >>> 0;
+  let t = randomState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function randomInt(maxExclusive) {
+  return Math.floor(randomFloat() * maxExclusive);
+}
+
 function rollDie(sides = 6) {
-  return 1 + Math.floor(Math.random() * sides);
+  return 1 + randomInt(sides);
 }
 
 function rollD3() {
-  return 1 + Math.floor(Math.random() * 3);
+  return 1 + randomInt(3);
 }
 
 function splitTopLevel(str, sep) {
@@ -30,7 +84,7 @@ function splitTopLevel(str, sep) {
 
 function shuffleArray(array) {
   for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = randomInt(i + 1);
     [array[i], array[j]] = [array[j], array[i]];
   }
   return array;